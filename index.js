@@ -13,6 +13,87 @@ const fs = require('fs')
 const fsp = fs.promises
 const Busboy = require('busboy')
 const { spawn } = require('child_process')
+const { randomUUID } = require('crypto')
+const { pathToFileURL } = require('url')
+const zlib = require('zlib')
+const { DOMParser } = require('@xmldom/xmldom')
+
+// Great-circle distance in meters between two lat/lon points.
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => d * Math.PI / 180
+  const dLat = toRad(lat2 - lat1)
+  const dLon = toRad(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+// Safely join a root directory with a relative path while blocking traversal.
+function safeJoin(root, rel) {
+  const r = (rel || '').replace(/\\/g, '/')
+  const cleaned = r.replace(/^\/+/, '') // force relative
+  const full = path.resolve(root, cleaned)
+  const rootFull = path.resolve(root)
+  if (!full.startsWith(rootFull + path.sep) && full !== rootFull) {
+    throw new Error('Path traversal blocked')
+  }
+  return full
+}
+
+// Scheduled snapshot file names (resources-YYYYMMDD-HHMMSS.json).
+const SNAPSHOT_RE = /^resources-\d{8}-\d{6}\.json$/
+// Resource types served by /export in the line formats (GPX, KML, CSV ...).
+const EXPORT_TYPES = ['waypoints', 'routes', 'tracks']
+// Largest request body accepted by /import.
+const IMPORT_LIMIT = 20 * 1024 * 1024
+
+// Format conversion shared with the webapp: public/formats.js is an ES module, loaded once on first use.
+let formatsModule = null
+// Icon ids from the webapp's catalogs (waypoints.json, skicons.json, icons.json), so imported
+// symbols map onto the same waypoint types on both import paths.
+const iconIds = new Set()
+function loadFormats() {
+  if (!formatsModule) {
+    formatsModule = import(pathToFileURL(path.join(__dirname, 'public', 'formats.js')).href)
+      .then(async (formats) => {
+        formats.setXmlParser(DOMParser) // No DOMParser under Node.
+        formats.setInflateRaw((raw) => zlib.inflateRawSync(raw)) // KMZ entries; no 'deflate-raw' stream before Node 21.
+        for (const file of ['waypoints.json', 'skicons.json', 'icons.json']) {
+          const catalog = JSON.parse(await fsp.readFile(path.join(__dirname, 'public', file), 'utf8'))
+          for (const icon of catalog.icons || []) iconIds.add(icon.id)
+        }
+        return formats
+      })
+      .catch((e) => {
+        formatsModule = null
+        throw e
+      })
+  }
+  return formatsModule
+}
+
+// Raw request body as a Buffer (a body parser may already have consumed JSON or text bodies).
+function readBody(req, limit) {
+  if (Buffer.isBuffer(req.body)) return Promise.resolve(req.body)
+  if (typeof req.body === 'string') return Promise.resolve(Buffer.from(req.body, 'utf8'))
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length) return Promise.resolve(Buffer.from(JSON.stringify(req.body), 'utf8'))
+  if (req.readableEnded) return Promise.resolve(Buffer.alloc(0))
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        reject(new Error('Request body too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
 module.exports = function (app) {
   // Logger helper that defers to Signal K debug/error when available.
   const logError =
@@ -117,7 +198,53 @@ module.exports = function (app) {
       interval: {
         type: 'number',
         title: 'Interval',
+        description: 'Seconds between vessel position samples for the track recorder (0 = every second).',
         default: 0
+      },
+      trackRecorder: {
+        type: 'object',
+        title: 'Track recorder',
+        properties: {
+          autoStart: { type: 'boolean', title: 'Start recording when the plugin starts', default: false },
+          minDistance: { type: 'number', title: 'Minimum distance between points (m)', default: 10 },
+          minInterval: { type: 'number', title: 'Minimum time between points (s)', default: 5 },
+          segmentGap: { type: 'number', title: 'Start a new segment after a gap of (s)', default: 300 },
+          split: {
+            type: 'string',
+            title: 'Split tracks',
+            enum: ['none', 'daily', 'voyage'],
+            enumNames: ['Never', 'Daily (UTC)', 'Per voyage'],
+            default: 'voyage'
+          },
+          voyageGap: {
+            type: 'number',
+            title: 'Voyage gap (min)',
+            description: 'With per-voyage splitting, a gap this long without recorded points starts a new track.',
+            default: 120
+          },
+          flushInterval: { type: 'number', title: 'Save to resources every (s)', default: 60 }
+        }
+      },
+      snapshots: {
+        type: 'object',
+        title: 'Resource snapshots',
+        description: 'Periodically save all waypoints, routes, tracks, notes and regions as a backup file in a file root.',
+        properties: {
+          enabled: { type: 'boolean', title: 'Take scheduled snapshots', default: false },
+          root: { type: 'string', title: 'File root (label; empty = first root)', default: '' },
+          folder: { type: 'string', title: 'Folder inside the file root', default: 'snapshots' },
+          intervalHours: { type: 'number', title: 'Interval (h)', default: 24 },
+          keep: { type: 'number', title: 'Snapshots to keep', default: 14 }
+        }
+      },
+      nmeaOutput: {
+        type: 'object',
+        title: 'NMEA 0183 output',
+        description: 'Defaults for sending waypoints and routes as WPL/RTE sentences on the nmea0183out event.',
+        properties: {
+          talker: { type: 'string', title: 'Talker ID', default: 'GP', pattern: '^[A-Za-z]{2}$' },
+          interval: { type: 'number', title: 'Delay between sentences (ms)', default: 250, minimum: 0, maximum: 5000 }
+        }
       }
     }
   })
@@ -153,11 +280,300 @@ module.exports = function (app) {
           }))
       ]
 
+    // Route currently followed through /route/activate (points ordered along travel).
+    let activeRoute = null
+
+    // Track recorder settings and runtime state.
+    const recCfg = Object.assign({
+      autoStart: false,
+      minDistance: 10,
+      minInterval: 5,
+      segmentGap: 300,
+      split: 'voyage',
+      voyageGap: 120,
+      flushInterval: 60
+    }, options && options.trackRecorder)
+    const recorder = {
+      status: 'stopped', // 'recording' | 'paused' | 'stopped'
+      track: null, // { id, name, day, segments: [[lon,lat]...][], times: [iso...][], dirty }
+      closed: [], // Earlier tracks (split or stopped) whose points are not saved yet.
+      newSegment: false, // Next point opens a new segment.
+      last: null // Last recorded { latitude, longitude, time }.
+    }
+
+    // Open a new track resource for points recorded from `time` on.
+    function openTrack(time) {
+      recorder.track = {
+        id: randomUUID(),
+        name: `Track ${time.toISOString().slice(0, 16).replace('T', ' ')}`,
+        day: time.toISOString().slice(0, 10),
+        segments: [],
+        times: [],
+        dirty: false // Unsaved points pending.
+      }
+      recorder.newSegment = true
+    }
+
+    // Stop adding to the current track; it stays queued until a save succeeds.
+    function closeTrack() {
+      const t = recorder.track
+      if (t && t.dirty) recorder.closed.push(t)
+      recorder.track = null
+    }
+
+    // Append a vessel position to the current track, applying thresholds and splits.
+    function recordPosition(position, time = new Date()) {
+      if (recorder.status !== 'recording' || !position) return
+      const lat = Number(position.latitude)
+      const lon = Number(position.longitude)
+      if (Number.isNaN(lat) || Number.isNaN(lon)) return
+
+      const last = recorder.last
+      if (last && recorder.track) {
+        const dt = (time - last.time) / 1000
+        if (dt < recCfg.minInterval) return
+        if (haversineMeters(last.latitude, last.longitude, lat, lon) < recCfg.minDistance) return
+        const dayChanged = recCfg.split === 'daily' && time.toISOString().slice(0, 10) !== recorder.track.day
+        const voyageEnded = recCfg.split === 'voyage' && dt > recCfg.voyageGap * 60
+        if (dayChanged || voyageEnded) {
+          closeTrack()
+          flushTrack()
+          openTrack(time)
+        } else if (dt > recCfg.segmentGap) {
+          recorder.newSegment = true
+        }
+      }
+      if (!recorder.track) openTrack(time)
+      const t = recorder.track
+      if (recorder.newSegment || !t.segments.length) {
+        t.segments.push([])
+        t.times.push([])
+        recorder.newSegment = false
+      }
+      t.segments[t.segments.length - 1].push([lon, lat])
+      t.times[t.times.length - 1].push(time.toISOString())
+      recorder.last = { latitude: lat, longitude: lon, time }
+      t.dirty = true
+    }
+
+    // Save closed tracks still pending and the current one through the Resources API.
+    // A track stays queued (and dirty) until setResource resolves, so a failed save is retried on the next flush.
+    async function flushTrack() {
+      for (const t of [...recorder.closed, recorder.track]) {
+        if (!t || !t.dirty) continue
+        if (await saveTrack(t) && t !== recorder.track) recorder.closed = recorder.closed.filter(c => c !== t)
+      }
+    }
+
+    // Save one track; false when it has to be retried.
+    async function saveTrack(t) {
+      // GeoJSON line strings need at least two positions: single-point segments are not saved.
+      const keep = t.segments.map((seg, i) => i).filter(i => t.segments[i].length >= 2)
+      const dropped = t.segments.length - keep.length
+      if (dropped && t !== recorder.track) debug(`Track recorder: ${t.name} closed with ${dropped} single-point segment(s), not saved`)
+      if (!keep.length) {
+        if (t !== recorder.track) t.dirty = false // Nothing left to save for a closed track.
+        return t !== recorder.track
+      }
+      const api = app.resourcesApi
+      if (!api || typeof api.setResource !== 'function') {
+        logError('Track recorder: Resources API not available')
+        return false
+      }
+      const data = {
+        name: t.name,
+        description: 'Recorded by MyData',
+        feature: {
+          type: 'Feature',
+          geometry: { type: 'MultiLineString', coordinates: keep.map(i => t.segments[i]) },
+          properties: { coordinateProperties: { times: keep.map(i => t.times[i]) } }
+        }
+      }
+      t.dirty = false
+      try {
+        await api.setResource('tracks', t.id, data)
+        return true
+      } catch (e) {
+        t.dirty = true // Points recorded meanwhile set it too; either way save again next time.
+        logError(`Track recorder: ${t.name}: ${e.message || e}`)
+        return false
+      }
+    }
+
+    // Public view of the recorder for the webapp.
+    function recorderStatus() {
+      const t = recorder.track
+      return {
+        status: recorder.status,
+        track: t ? { id: t.id, name: t.name, segments: t.segments.length, points: t.segments.reduce((n, s) => n + s.length, 0) } : null,
+        settings: recCfg
+      }
+    }
+
+    function startRecording() {
+      if (recorder.status === 'paused') recorder.newSegment = true // Resume in a new segment.
+      if (recorder.status === 'stopped') {
+        recorder.track = null // Opened on the first recorded point.
+        recorder.last = null
+      }
+      recorder.status = 'recording'
+      lastMessage = 'Track recorder: recording'
+    }
+
+    async function pauseRecording() {
+      if (recorder.status !== 'recording') return
+      recorder.status = 'paused'
+      lastMessage = 'Track recorder: paused'
+      await flushTrack()
+    }
+
+    async function stopRecording() {
+      recorder.status = 'stopped'
+      lastMessage = 'Track recorder: stopped'
+      closeTrack()
+      await flushTrack()
+      recorder.last = null
+    }
+
+    const flushTimer = setInterval(() => { flushTrack() }, Math.max(5, recCfg.flushInterval) * 1000)
+    plugin.unsubscribes.push(() => clearInterval(flushTimer))
+    plugin.unsubscribes.push(() => { flushTrack() }) // Save pending points on stop.
+    if (recCfg.autoStart) startRecording()
+
+    // Scheduled resource snapshots.
+    const snapCfg = Object.assign({
+      enabled: false,
+      root: '',
+      folder: 'snapshots',
+      intervalHours: 24,
+      keep: 14
+    }, options && options.snapshots)
+    const snapshots = { last: null, error: null, failures: 0, timer: null, stopped: false }
+
+    // Folder receiving snapshots, or null when no file root is configured.
+    // An empty root setting uses the first root; a root that does not exist is an error.
+    function snapshotDir() {
+      const root = snapCfg.root ? fileRoots.find(r => r.id === snapCfg.root || r.label === snapCfg.root) : fileRoots[0]
+      if (!root && snapCfg.root) throw new Error(`Snapshot file root "${snapCfg.root}" not found`)
+      if (!root) return null
+      return { root, dir: safeJoin(root.path, snapCfg.folder || '') }
+    }
+
+    // Snapshot file names, oldest first.
+    async function listSnapshots(dir) {
+      const names = await fsp.readdir(dir).catch(() => [])
+      return names.filter(n => SNAPSHOT_RE.test(n)).sort()
+    }
+
+    // Write all resources into a timestamped backup file and prune old ones.
+    async function takeSnapshot() {
+      const target = snapshotDir()
+      if (!target) throw new Error('No file root configured for snapshots')
+      const api = app.resourcesApi
+      if (!api || typeof api.listResources !== 'function') throw new Error('Resources API not available')
+
+      const { BACKUP_TYPES, toBackup } = await loadFormats()
+      const resources = {}
+      for (const type of BACKUP_TYPES) {
+        try {
+          resources[type] = await api.listResources(type, {}) || {}
+        } catch (e) {
+          debug(`Snapshot: skipping ${type} (${e.message || e})`) // No provider for this type.
+        }
+      }
+      const now = new Date()
+      const counts = Object.fromEntries(Object.entries(resources).map(([t, coll]) => [t, Object.keys(coll).length]))
+
+      await fsp.mkdir(target.dir, { recursive: true })
+      const name = `resources-${now.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}.json`
+      await fsp.writeFile(path.join(target.dir, name), toBackup(resources, { created: now.toISOString(), generator: 'MyData snapshot scheduler' }), 'utf8')
+
+      const keep = Math.max(1, Number(snapCfg.keep) || 1)
+      const existing = await listSnapshots(target.dir)
+      for (const old of existing.slice(0, Math.max(0, existing.length - keep))) {
+        await fsp.unlink(path.join(target.dir, old)).catch(e => logError(`Snapshot prune: ${e.message || e}`))
+      }
+
+      snapshots.last = { time: now.toISOString(), file: path.posix.join(snapCfg.folder || '', name), root: target.root.id, counts }
+      snapshots.error = null
+      return snapshots.last
+    }
+
+    // Report a failed scheduled snapshot once (server log and plugin status), not on every retry.
+    function snapshotFailed(e) {
+      const message = e.message || String(e)
+      snapshots.failures++
+      if (message === snapshots.error) return
+      snapshots.error = message
+      logError(`Snapshot: ${message}`)
+      if (app.setPluginError) app.setPluginError(`Snapshot: ${message}`)
+    }
+
+    // Run the next snapshot when the newest one is older than the interval (at least a minute after start).
+    // After a failure retries back off (1, 2, 4 ... minutes, up to the interval); when the snapshot folder
+    // cannot be resolved (e.g. an unknown root) the schedule stops until the plugin restarts with new settings.
+    async function scheduleSnapshot() {
+      if (snapshots.stopped) return
+      const intervalMs = Math.min(Math.max(0.25, Number(snapCfg.intervalHours) || 24), 24 * 24) * 3600 * 1000
+      let delay = snapshots.failures ? Math.min(intervalMs, 60 * 1000 * 2 ** (snapshots.failures - 1)) : 60 * 1000
+      try {
+        const target = snapshotDir()
+        const newest = target ? (await listSnapshots(target.dir)).pop() : null
+        if (newest) {
+          const st = await fsp.stat(path.join(target.dir, newest))
+          delay = Math.max(delay, st.mtimeMs + intervalMs - Date.now())
+        }
+      } catch (e) {
+        snapshotFailed(e)
+        return
+      }
+      if (snapshots.stopped) return
+      snapshots.timer = setTimeout(async () => {
+        try {
+          const last = await takeSnapshot()
+          debug(`Snapshot written: ${last.file}`)
+          if (snapshots.failures && app.setPluginStatus) app.setPluginStatus(`Snapshot written: ${last.file}`)
+          snapshots.failures = 0
+        } catch (e) {
+          snapshotFailed(e)
+        }
+        scheduleSnapshot()
+      }, delay)
+    }
+
+    if (snapCfg.enabled) scheduleSnapshot()
+    plugin.unsubscribes.push(() => {
+      snapshots.stopped = true
+      clearTimeout(snapshots.timer)
+    })
+
+    // NMEA 0183 output queue, drained one sentence per interval.
+    const nmeaCfg = Object.assign({ talker: 'GP', interval: 250 }, options && options.nmeaOutput)
+    const nmeaOut = { queue: [], timer: null }
+
+    function drainNmea() {
+      const next = nmeaOut.queue.shift()
+      if (!next) { nmeaOut.timer = null; return }
+      app.emit('nmea0183out', next.sentence)
+      nmeaOut.timer = setTimeout(drainNmea, next.interval)
+    }
+
+    function queueNmea(sentences, interval) {
+      for (const sentence of sentences) nmeaOut.queue.push({ sentence, interval })
+      if (!nmeaOut.timer) drainNmea()
+    }
+
+    plugin.unsubscribes.push(() => {
+      clearTimeout(nmeaOut.timer)
+      nmeaOut.queue = []
+      nmeaOut.timer = null
+    })
+
     // Router registration used by Signal K to mount HTTP handlers.
     plugin.registerWithRouter = (router) => {
 
       // Known text extensions for inline preview.
-      const TEXT_EXTS = ['.txt','.log','.md','.json','.geojson','.gpx','.kml','.csv','.xml','.yaml','.yml']
+      const TEXT_EXTS = ['.txt','.log','.md','.json','.geojson','.gpx','.kml','.csv','.nmea','.xml','.yaml','.yml']
       // Map of extensions to MIME types for accurate previews and downloads.
       const MIME_MAP = {
         '.txt': 'text/plain',
@@ -168,6 +584,7 @@ module.exports = function (app) {
         '.gpx': 'application/gpx+xml',
         '.kml': 'application/vnd.google-earth.kml+xml',
         '.csv': 'text/csv',
+        '.nmea': 'text/plain',
         '.xml': 'application/xml',
         '.yaml': 'application/yaml',
         '.yml': 'application/yaml',
@@ -185,18 +602,6 @@ module.exports = function (app) {
         '.webm': 'video/webm'
       }
 
-      // Safely join a root directory with a relative path while blocking traversal.
-      function safeJoin(root, rel) {
-        const r = (rel || '').replace(/\\/g, '/')
-        const cleaned = r.replace(/^\/+/, '') // force relative
-        const full = path.resolve(root, cleaned)
-        const rootFull = path.resolve(root)
-        if (!full.startsWith(rootFull + path.sep) && full !== rootFull) {
-          throw new Error('Path traversal blocked')
-        }
-        return full
-      }
-
       function resolveRoot(rootId) {
         if (!fileRoots.length) return null
         if (!rootId) return fileRoots[0]
@@ -247,7 +652,8 @@ module.exports = function (app) {
             distanceUnit: options?.distanceUnit || 'nm',
             depthUnit: options?.depthUnit || 'm',
             waypointPropertyViews: Array.isArray(options?.waypointPropertyViews) ? options.waypointPropertyViews : [],
-            fileRoots: fileRoots.map(root => ({ id: root.id, label: root.label, path: root.path }))
+            fileRoots: fileRoots.map(root => ({ id: root.id, label: root.label, path: root.path })),
+            nmeaOutput: { talker: nmeaCfg.talker, interval: nmeaCfg.interval }
           }
         })
       })
@@ -441,6 +847,32 @@ module.exports = function (app) {
         }
       })
 
+      // Publish course values as a delta (fallback when the Course API is unavailable).
+      function sendCourseDelta(values) {
+        app.handleMessage(plugin.id, {
+          context: 'vessels.self',
+          updates: [{
+            source: { label: plugin.id, type: 'plugin' },
+            timestamp: new Date().toISOString(),
+            values
+          }]
+        })
+      }
+
+      // Delta values pointing the course at a route point (and the one before it).
+      function routePointValues(route, index) {
+        const next = route.points[index]
+        const prev = index > 0 ? route.points[index - 1] : null
+        return [
+          { path: 'navigation.courseRhumbline.nextPoint.position', value: { latitude: next.latitude, longitude: next.longitude } },
+          { path: 'navigation.courseRhumbline.nextPoint.name', value: next.name || `${route.name} #${index + 1}` },
+          {
+            path: 'navigation.courseRhumbline.previousPoint.position',
+            value: prev ? { latitude: prev.latitude, longitude: prev.longitude } : null
+          }
+        ]
+      }
+
       // Handle goto command for a selected waypoint.
       router.post(`/goto`, async (req, res) => {
         try {
@@ -467,38 +899,348 @@ module.exports = function (app) {
             }
             lastMessage = `Destination set via Course API: ${name}`
           } else {
-            const timestamp = new Date().toISOString() // Timestamp for delta.
-            const delta = {
-              context: 'vessels.self',
-              updates: [{
-                source: { label: plugin.id, type: 'plugin' },
-                timestamp,
-                values: [
-                  {
-                    path: 'navigation.courseRhumbline.nextPoint.position',
-                    value: { latitude: lat, longitude: lon }
-                  },
-                  {
-                    path: 'navigation.courseRhumbline.nextPoint.name',
-                    value: name
-                  },
-                  ...(href ? [{
-                    path: 'navigation.courseRhumbline.nextPoint.href',
-                    value: href
-                  }] : [])
-                ]
-              }]
+            sendCourseDelta([
+              {
+                path: 'navigation.courseRhumbline.nextPoint.position',
+                value: { latitude: lat, longitude: lon }
+              },
+              {
+                path: 'navigation.courseRhumbline.nextPoint.name',
+                value: name
+              },
+              ...(href ? [{
+                path: 'navigation.courseRhumbline.nextPoint.href',
+                value: href
+              }] : [])
+            ])
+            lastMessage = `Destination set via delta fallback: ${name}`
+          }
+          activeRoute = null // A single-point goto replaces any followed route.
+          res.json({ ok: true })
+        } catch (e) {
+          res.status(500).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Activate a whole route, optionally reversed and starting at a given point.
+      router.post(`/route/activate`, async (req, res) => {
+        try {
+          const rte = req.body && req.body.route ? req.body.route : null // Extract route payload.
+          if (!rte || !rte.id) {
+            return res.status(400).json({ ok: false, error: 'Missing route.id' })
+          }
+
+          const reverse = !!req.body.reverse // Follow the route end to start.
+          const points = (Array.isArray(rte.points) ? rte.points : [])
+            .map(p => ({ latitude: Number(p && p.latitude), longitude: Number(p && p.longitude), name: (p && p.name) || '' }))
+            .filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude)) // Points in stored order.
+          if (reverse) points.reverse() // Point index counts along the direction of travel.
+          const maxIndex = points.length ? points.length - 1 : Number.MAX_SAFE_INTEGER
+          const pointIndex = Math.min(Math.max(parseInt(req.body.pointIndex, 10) || 0, 0), maxIndex)
+          const href = `/resources/routes/${rte.id}` // Course API route reference.
+          const name = rte.name || rte.id // Friendly display name.
+
+          const useCourseApi = typeof app.activateRoute === 'function' // Determine if modern API is available.
+          if (useCourseApi) {
+            const result = app.activateRoute({ href, pointIndex, reverse }) // Request route via helper.
+            if (result && typeof result.then === 'function') {
+              await result // Await promise-based implementations.
+            }
+            lastMessage = `Route activated via Course API: ${name}`
+          } else {
+            if (!points.length) {
+              return res.status(400).json({ ok: false, error: 'Missing route.points for delta fallback' })
             }
+            sendCourseDelta([
+              { path: 'navigation.courseRhumbline.activeRoute.href', value: href },
+              { path: 'navigation.courseRhumbline.activeRoute.startTime', value: new Date().toISOString() },
+              ...routePointValues({ name, points }, pointIndex)
+            ])
+            lastMessage = `Route activated via delta fallback: ${name}`
+          }
+          activeRoute = { href, name, reverse, points, pointIndex } // Remember for point stepping.
+          res.json({ ok: true, pointIndex })
+        } catch (e) {
+          res.status(500).json({ ok: false, error: e.message || String(e) })
+        }
+      })
 
-            app.handleMessage(plugin.id, delta) // Send delta through Signal K.
-            lastMessage = `Destination set via delta fallback: ${name}`
+      // Clear the current destination or active route.
+      router.post(`/course/clear`, async (req, res) => {
+        try {
+          const useCourseApi = typeof app.clearDestination === 'function' // Determine if modern API is available.
+          if (useCourseApi) {
+            const result = app.clearDestination()
+            if (result && typeof result.then === 'function') {
+              await result // Await promise-based implementations.
+            }
+            lastMessage = 'Course cleared via Course API'
+          } else {
+            sendCourseDelta([
+              { path: 'navigation.courseRhumbline.nextPoint.position', value: null },
+              { path: 'navigation.courseRhumbline.nextPoint.name', value: null },
+              { path: 'navigation.courseRhumbline.nextPoint.href', value: null },
+              { path: 'navigation.courseRhumbline.previousPoint.position', value: null },
+              { path: 'navigation.courseRhumbline.activeRoute.href', value: null },
+              { path: 'navigation.courseRhumbline.activeRoute.startTime', value: null }
+            ])
+            lastMessage = 'Course cleared via delta fallback'
           }
+          activeRoute = null
           res.json({ ok: true })
         } catch (e) {
           res.status(500).json({ ok: false, error: e.message || String(e) })
         }
       })
 
+      // Move the active route to the next (step = 1) or previous (step = -1) point.
+      async function stepRoute(step, res) {
+        // Prefer the server's course state, which also covers routes activated by other apps.
+        let course = null
+        if (typeof app.getCourse === 'function') {
+          try {
+            course = await app.getCourse()
+          } catch (e) {
+            debug(`getCourse failed: ${e.message || e}`)
+          }
+        }
+        const courseRoute = course && course.activeRoute && course.activeRoute.href ? course.activeRoute : null
+        const useCourseApi = typeof app.activateRoute === 'function' && (courseRoute || activeRoute)
+
+        if (useCourseApi) {
+          const href = courseRoute ? courseRoute.href : activeRoute.href
+          const reverse = courseRoute ? !!courseRoute.reverse : activeRoute.reverse
+          const current = courseRoute ? Number(courseRoute.pointIndex) || 0 : activeRoute.pointIndex
+          const total = (courseRoute && courseRoute.pointTotal) ||
+            (activeRoute && activeRoute.href === href && activeRoute.points.length) || null
+          let pointIndex = Math.max(current + step, 0)
+          if (total) pointIndex = Math.min(pointIndex, total - 1)
+          const result = app.activateRoute({ href, pointIndex, reverse })
+          if (result && typeof result.then === 'function') {
+            await result // Await promise-based implementations.
+          }
+          if (activeRoute && activeRoute.href === href) activeRoute.pointIndex = pointIndex
+          lastMessage = `Route point ${pointIndex + 1}${total ? ` of ${total}` : ''} via Course API`
+          return res.json({ ok: true, pointIndex, pointTotal: total })
+        }
+
+        if (!activeRoute || !activeRoute.points.length) {
+          return res.status(400).json({ ok: false, error: 'No active route' })
+        }
+        const pointIndex = Math.min(Math.max(activeRoute.pointIndex + step, 0), activeRoute.points.length - 1)
+        sendCourseDelta(routePointValues(activeRoute, pointIndex))
+        activeRoute.pointIndex = pointIndex
+        lastMessage = `Route point ${pointIndex + 1} of ${activeRoute.points.length} via delta fallback`
+        res.json({ ok: true, pointIndex, pointTotal: activeRoute.points.length })
+      }
+
+      // Advance the active route to its next point.
+      router.post(`/course/next`, async (req, res) => {
+        try {
+          await stepRoute(1, res)
+        } catch (e) {
+          res.status(500).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Step the active route back to its previous point.
+      router.post(`/course/previous`, async (req, res) => {
+        try {
+          await stepRoute(-1, res)
+        } catch (e) {
+          res.status(500).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Track recorder status.
+      router.get(`/recorder`, (req, res) => {
+        res.json({ ok: true, ...recorderStatus() })
+      })
+
+      // Start (or resume) recording the vessel track.
+      router.post(`/recorder/start`, (req, res) => {
+        startRecording()
+        res.json({ ok: true, ...recorderStatus() })
+      })
+
+      // Pause recording; resuming continues the same track in a new segment.
+      router.post(`/recorder/pause`, async (req, res) => {
+        try {
+          await pauseRecording()
+          res.json({ ok: true, ...recorderStatus() })
+        } catch (e) {
+          res.status(500).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Stop recording and close the current track.
+      router.post(`/recorder/stop`, async (req, res) => {
+        try {
+          await stopRecording()
+          res.json({ ok: true, ...recorderStatus() })
+        } catch (e) {
+          res.status(500).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Send waypoints and/or routes as WPL/RTE sentences through the server's NMEA 0183 output.
+      router.post(`/nmea/send`, async (req, res) => {
+        try {
+          const { toNMEA0183 } = await loadFormats()
+          const body = req.body || {}
+          const waypoints = Array.isArray(body.waypoints) ? body.waypoints : []
+          const routes = Array.isArray(body.routes) ? body.routes : (body.route ? [body.route] : [])
+          if (!waypoints.length && !routes.length) return res.status(400).json({ ok: false, error: 'Nothing to send' })
+          const talker = body.talker || nmeaCfg.talker
+          if (!/^[A-Za-z]{2}$/.test(talker)) return res.status(400).json({ ok: false, error: 'Talker ID must be two letters' })
+          // 0-5000 ms between sentences, so a long route can't hold the queue for hours.
+          const interval = Math.min(5000, Math.max(0, Number(body.interval != null ? body.interval : nmeaCfg.interval) || 0))
+          const sentences = toNMEA0183({ waypoints, routes }, { talker }).split('\r\n').filter(Boolean)
+          const queued = nmeaOut.queue.length
+          queueNmea(sentences, interval)
+          res.json({ ok: true, sentences: sentences.length, queued, estimatedMs: (queued + sentences.length) * interval })
+        } catch (e) {
+          res.status(400).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Sentences still waiting to be sent.
+      router.get(`/nmea/status`, (req, res) => {
+        res.json({ ok: true, pending: nmeaOut.queue.length, talker: nmeaCfg.talker, interval: nmeaCfg.interval })
+      })
+
+      // Snapshot settings, last run and the snapshot files currently kept.
+      router.get(`/snapshots`, async (req, res) => {
+        try {
+          const target = snapshotDir()
+          const files = target ? await listSnapshots(target.dir) : []
+          res.json({
+            ok: true,
+            enabled: !!snapCfg.enabled,
+            root: target ? target.root.id : null,
+            folder: snapCfg.folder || '',
+            last: snapshots.last,
+            error: snapshots.error,
+            files: files.reverse().map(name => path.posix.join(snapCfg.folder || '', name))
+          })
+        } catch (e) {
+          res.status(400).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Take a snapshot now.
+      router.post(`/snapshots/run`, async (req, res) => {
+        try {
+          res.json({ ok: true, snapshot: await takeSnapshot() })
+        } catch (e) {
+          snapshots.error = e.message || String(e)
+          res.status(500).json({ ok: false, error: snapshots.error })
+        }
+      })
+
+      // Import a file sent as the request body into resources.
+      // ?format=gpx|kml|kmz|geojson|csv|nmea|opencpn; CSV also takes ?delimiter= and ?depthUnit=, OpenCPN ?layer=.
+      // Ids carried by the file update the matching resources (mode=update, default) or get fresh ids (mode=create).
+      router.post(`/import`, async (req, res) => {
+        try {
+          const formats = await loadFormats()
+          const format = String(req.query.format || '').toLowerCase()
+          const mode = req.query.mode === 'create' ? 'create' : 'update'
+          const api = app.resourcesApi
+          if (!api || typeof api.setResource !== 'function') return res.status(503).json({ ok: false, error: 'Resources API not available' })
+          const buf = await readBody(req, IMPORT_LIMIT)
+          const data = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length)
+          // KMZ is a zipped KML document.
+          const text = buf.length >= 4 && formats.isZip(data) ? await formats.kmzToKml(data) : buf.toString('utf8')
+          const csv = { delimiter: req.query.delimiter, depthUnit: req.query.depthUnit || options?.depthUnit || 'm' }
+          const items = formats.parseItems(format, text, { csv, layer: req.query.layer || '' })
+
+          const existing = {}
+          const results = []
+          for (const it of items) {
+            // Same checks as the webapp's import preview: bad coordinates or too few points skip the item.
+            const issues = formats.importIssues(it)
+            const c = issues.length ? null : formats.buildImportPayload(it, { typeForSymbol: (symbol) => formats.waypointTypeForSymbol(symbol, id => iconIds.has(id)) })
+            if (!c) {
+              results.push({ kind: it.kind, name: it.name || '', action: 'skipped', ...(issues.length ? { reason: issues.join(', ') } : {}) })
+              continue
+            }
+            if (!existing[c.type]) existing[c.type] = await api.listResources(c.type, {}).catch(() => ({})) || {}
+            const prev = existing[c.type][c.payload.id]
+            if (prev && mode === 'create') c.payload.id = randomUUID()
+            else if (prev) {
+              // Keep what the file cannot carry (e.g. nested values dropped by CSV, the waypoint type in GPX).
+              if (prev.feature?.properties && c.payload.feature) c.payload.feature.properties = { ...prev.feature.properties, ...c.payload.feature.properties }
+              if (c.type === 'waypoints' && !it.type && prev.type) c.payload.type = prev.type
+            }
+            const { id, ...payload } = c.payload
+            await api.setResource(c.type, id, payload)
+            existing[c.type][id] = payload
+            results.push({ type: c.type, id, name: payload.name || '', action: prev && mode === 'update' ? 'updated' : 'created' })
+          }
+          const count = (action) => results.filter(r => r.action === action).length
+          res.json({ ok: true, format, mode, created: count('created'), updated: count('updated'), skipped: count('skipped'), items: results })
+        } catch (e) {
+          res.status(400).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
+      // Export resources as a file named /export/<name>.<gpx|kml|kmz|geojson|csv|nmea>, or <name>.json for a backup archive.
+      // ?type=waypoints,routes picks the types (default: <name> when it is a type, else waypoints, routes and tracks); ?ids=a,b picks resources.
+      router.get(`/export/:file`, async (req, res) => {
+        try {
+          const formats = await loadFormats()
+          const m = /^(.+)\.([a-z0-9]+)$/i.exec(req.params.file || '')
+          if (!m) return res.status(400).json({ ok: false, error: 'Missing file extension' })
+          const [, base, ext] = m
+          const format = String(req.query.format || ext).toLowerCase()
+          const api = app.resourcesApi
+          if (!api || typeof api.listResources !== 'function') return res.status(503).json({ ok: false, error: 'Resources API not available' })
+          const list = (type) => api.listResources(type, {}).then(coll => coll || {})
+
+          if (format === 'json' || format === 'backup') {
+            const resources = {}
+            for (const type of formats.BACKUP_TYPES) {
+              resources[type] = await list(type).catch((e) => debug(`Export: skipping ${type} (${e.message || e})`))
+            }
+            res.type('application/json')
+            res.set('Content-Disposition', `attachment; filename="${base}.json"`)
+            return res.send(formats.toBackup(resources, { generator: 'MyData export' }))
+          }
+
+          const spec = formats.EXPORT_FORMATS[format]
+          if (!spec) return res.status(400).json({ ok: false, error: `Unsupported export format: ${format}` })
+          const types = String(req.query.type || (EXPORT_TYPES.includes(base) ? base : EXPORT_TYPES.join(','))).split(',').map(t => t.trim()).filter(Boolean)
+          const unknown = types.filter(t => !EXPORT_TYPES.includes(t))
+          if (unknown.length) return res.status(400).json({ ok: false, error: `Unsupported type: ${unknown.join(', ')}` })
+          if (format === 'csv' && types.length > 1) return res.status(400).json({ ok: false, error: 'CSV export takes a single type' })
+          const ids = req.query.ids ? new Set(String(req.query.ids).split(',')) : null
+
+          // Route points that reference a waypoint are named after it.
+          const colls = {}
+          for (const type of new Set([...types, ...(types.includes('routes') ? ['waypoints'] : [])])) {
+            colls[type] = await list(type).catch(() => ({}))
+          }
+          const nameForHref = (href) => {
+            const id = formats.waypointIdFromHref(href)
+            return (id && colls.waypoints?.[id]?.name) || ''
+          }
+          const itemsOf = (type) => !types.includes(type) ? [] : Object.entries(colls[type])
+              .filter(([id]) => !ids || ids.has(id))
+              .map(([id, obj]) => formats.resourceToItem(type, id, obj, { nameForHref }))
+          const waypoints = itemsOf('waypoints').filter(w => w.latitude != null && w.longitude != null)
+          const routes = itemsOf('routes').filter(r => r.points.length)
+          const tracks = itemsOf('tracks').filter(t => t.points.length)
+
+          const out = formats.serializeItems(format, { waypoints, routes, tracks })
+          res.type(spec.mime)
+          res.set('Content-Disposition', `attachment; filename="${base}.${spec.ext}"`)
+          res.send(typeof out === 'string' ? out : Buffer.from(out))
+        } catch (e) {
+          res.status(400).json({ ok: false, error: e.message || String(e) })
+        }
+      })
+
       // Placeholder show endpoint kept for compatibility with existing UI hooks.
       router.post(`/plugins/${plugin.id}/show`, (req, res) => {
         const wp = req.body && req.body.waypoint ? req.body.waypoint : null
@@ -511,15 +1253,12 @@ module.exports = function (app) {
       })
     }
 
-    // Subscribe to vessel position; keeps plugin active and ready for future hooks.
+    // Subscribe to vessel position and feed the track recorder.
     let stream = app.streambundle.getSelfStream('navigation.position')
-    if (options && options.interval > 0) {
-      stream = stream.debounceImmediate(options.interval * 1000)
-    } else {
-      stream = stream.take(1)
-    }
+    const sampleSeconds = options && options.interval > 0 ? options.interval : 1
+    stream = stream.debounceImmediate(sampleSeconds * 1000)
     plugin.unsubscribes.push(
-        stream.onValue(function (position) {}) // Keep reference for cleanup.
+        stream.onValue(function (position) { recordPosition(position) }) // Keep reference for cleanup.
     )
   }
 
@@ -1,5 +1,5 @@
 // Import helper utilities for formatting numbers, calculating distances/bearings, downloading text, and parsing/serializing formats.
-import { haversineNm, bearingDeg, fmt, downloadText, parseCSV, toCSV, parseGPX, toGPX, parseKML, toKML, parseGeoJSON, toGeoJSON } from './formats.js'
+import { haversineNm, bearingDeg, rhumbNm, rhumbBearingDeg, distanceToSegmentNm, simplifyPoints, fmt, downloadText, parseCSV, toGeoJSON, toBackup, parseBackup, BACKUP_FORMAT, BACKUP_TYPES, kmzToKml, isZip, parseCSVTable, guessCSVMapping, genUuid, KIND_TYPES, waypointIdFromHref, extractRoutePoints, extractTrackSegments, buildWaypointPayload, buildRoutePayload, buildImportPayload, waypointTypeForSymbol, validLatLon, importIssues, parseItems, serializeItems, EXPORT_FORMATS } from './formats.js'
 // Shorthand query selector helper to keep DOM lookups concise.
 const $ = (sel) => document.querySelector(sel)
 
@@ -15,9 +15,9 @@ const state = {
   // Current active tab.
   tab: 'waypoints',
   // Pagination tracking per tab.
-  page: { waypoints: 1, routes: 1, files: 1 },
+  page: { waypoints: 1, routes: 1, tracks: 1, files: 1 },
   // Dynamic page size per tab computed from viewport.
-  pageSize: { waypoints: 8, routes: 8, files: 8 },
+  pageSize: { waypoints: 8, routes: 8, tracks: 8, files: 8 },
   // Cached resources keyed by type.
   resources: { waypoints: {}, routes: {}, tracks: {} },
   // Currently rendered list items for the active tab.
@@ -26,6 +26,10 @@ const state = {
   selected: new Set(),
   // Latest vessel position from websocket updates.
   vesselPos: null,
+  // Latest vessel speed over ground (m/s) from websocket updates.
+  vesselSog: null,
+  // Latest navigation.course values (SI units) from websocket updates.
+  course: emptyCourse(),
   // Icon manifest fetched at boot.
   icons: null,
   waypointsTypes: null,
@@ -35,16 +39,24 @@ const state = {
     distanceUnit: 'nm',
     depthUnit: 'm',
     waypointPropertyViews: [],
-    fileRoots: []
+    fileRoots: [],
+    nmeaOutput: { talker: 'GP', interval: 250 }
   },
   notesByWaypoint: new Map(),
+  nmeaSend: [],
+  csvImport: null,
+  // File read from a file root (Files tab), imported through dlgImport instead of #importFile.
+  importRemote: null,
+  importPlan: null,
   noteView: { waypointId: null, notes: [], index: 0 },
   // Mapping from resource key to DOM row for incremental updates.
   rows: new Map(),
   // Auth metadata from Signal K login status.
   auth: { status: null, userLevel: null },
+  // Leg distance mode for route detail ('gc' great circle, 'rhumb' rhumb line).
+  legMode: 'gc',
   // Detail panel state.
-  detail: { item: null, edit: false, preview: null, isNew: false }
+  detail: { item: null, edit: false, preview: null, isNew: false, routeDraft: null }
 }
 // Track long-running operations with optional abort handles.
 const progress = {
@@ -136,17 +148,6 @@ async function ensureWriteAccess() {
   return true
 }
 
-// Generate a UUID for resource identifiers with Date fallback.
-function genUuid() {
-  if (crypto?.randomUUID) return crypto.randomUUID()
-  const t = Date.now().toString(16)
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0
-    const v = c === 'x' ? r : (r & 0x3) | 0x8
-    return v.toString(16)
-  }) + '-' + t.slice(-4)
-}
-
 // Attach cancel handler for progress overlay.
 $('#btnCancelProgress')?.addEventListener('click', () => hideProgress())
 
@@ -796,13 +797,15 @@ async function loadConfig() {
 
     if (!res.ok) throw new Error(`Config failed: ${res.status}`)
 
-    const cfg = j.configuration || {}
+    // The plugin's /config route answers { ok, config }.
+    const cfg = j.config || {}
 
     state.config.coordinateFormat = cfg.coordinateFormat || 'dd'
     state.config.distanceUnit = cfg.distanceUnit || 'nm'
     state.config.depthUnit = cfg.depthUnit || 'm'
     state.config.waypointPropertyViews = Array.isArray(cfg.waypointPropertyViews) ? cfg.waypointPropertyViews : []
     state.config.fileRoots = Array.isArray(cfg.fileRoots) ? cfg.fileRoots : []
+    state.config.nmeaOutput = { ...state.config.nmeaOutput, ...(cfg.nmeaOutput || {}) }
     if (state.config.fileRoots.length && !state.config.fileRoots.find(root => root.id === filesState.rootId)) {
       filesState.rootId = state.config.fileRoots[0].id
     }
@@ -937,10 +940,44 @@ function normalizeResource(type, id, obj) {
         ? { latitude: obj.feature.geometry.coordinates[1], longitude: obj.feature.geometry.coordinates[0] }
         : null)
   }
+  // Extract ordered route points when available.
+  if (type === 'routes') item.points = extractRoutePoints(obj, waypointNameFromHref)
+  // Extract track segments (and a flattened point list) when available.
+  if (type === 'tracks') {
+    item.segments = extractTrackSegments(obj)
+    item.points = item.segments.flat()
+  }
   // Return normalized record for rendering.
   return item
 }
 
+// Summarize a track: length, time span and average speed.
+function trackStats(it) {
+  let lengthNm = 0
+  for (const seg of it.segments || []) {
+    for (let i = 1; i < seg.length; i++) {
+      lengthNm += haversineNm(seg[i - 1].latitude, seg[i - 1].longitude, seg[i].latitude, seg[i].longitude)
+    }
+  }
+  const times = (it.points || []).map(p => (p.time ? new Date(p.time).getTime() : NaN)).filter(t => !Number.isNaN(t))
+  const start = times.length ? new Date(Math.min(...times)) : null
+  const end = times.length ? new Date(Math.max(...times)) : null
+  const seconds = start && end ? (end - start) / 1000 : null
+  return {
+    lengthNm,
+    start,
+    end,
+    seconds,
+    avgKn: seconds > 0 ? lengthNm / (seconds / 3600) : null
+  }
+}
+
+// Resolve a waypoint href to its cached name.
+function waypointNameFromHref(href) {
+  const id = waypointIdFromHref(href)
+  return (id && state.resources.waypoints?.[id]?.name) || ''
+}
+
 // Return available icon catalogs (UI + waypoint type lists).
 function iconCatalogs() {
   return [state.waypointsTypes, state.skIcons, state.icons].filter(Boolean)
@@ -984,61 +1021,6 @@ function computeDerived(item) {
   }
 }
 
-// Build a waypoint payload including GeoJSON feature metadata.
-function buildWaypointPayload({ id, name, description, type, position, properties = {}}) {
-
-  /*
-  {
-  "e16fe805-f76e-43e1-826d-dfec1f0b4fd3": {
-    "name": "Wpt-73916",
-    "description": "A waypoint",
-    "feature": {
-      "type": "Feature",
-      "geometry": {
-        "type": "Point",
-        "coordinates": [
-          23.44317218974258,
-          59.989769061119716
-        ]
-      },
-      "properties": {
-        "skIcon": "virtual-north"
-      },
-      "id": ""
-    },
-    "type": "pseudoaton",
-    "timestamp": "2026-01-08T21:28:11.867Z",
-    "$source": "resources-provider"
-  }
-}
-   */
-
-  const payload = {}
-  if (id) payload.id = id
-  if (name !== undefined) payload.name = name
-  if (description !== undefined) payload.description = description
-  if (type !== undefined) payload.type = type
-
-  const lat = Number(position?.latitude)
-  const lon = Number(position?.longitude)
-  const hasCoords = !Number.isNaN(lat) && !Number.isNaN(lon)
-
-  if (hasCoords) {
-
-    payload.feature = {
-      "type": "Feature",
-      "geometry": {
-        "type": "Point",
-        "coordinates": [ lon,  lat ]
-      },
-      "properties": properties,
-      "id": ""
-    }
-  }
-
-  return payload
-}
-
 // Return list of items for the current tab.
 function getItemsForTab() {
   // Capture active tab key.
@@ -1225,6 +1207,13 @@ function renderActions(it) {
     }))
     wrap.appendChild(btnTiny('edit', 'View', () => openDetail(it)))
     wrap.appendChild(btnTiny('trash', 'Delete', () => deleteResource(it)))
+  } else if (it.type === 'routes') {
+    wrap.appendChild(btnTiny('goto', 'Activate', () => activateRoute(it)))
+    wrap.appendChild(btnTiny('arrow-right', 'Send via NMEA 0183', () => openSendNmea([it])))
+    wrap.appendChild(btnTiny('trash', 'Delete', () => deleteResource(it)))
+  } else if (it.type === 'tracks') {
+    wrap.appendChild(btnTiny('download', 'Export', () => exportTrack(it)))
+    wrap.appendChild(btnTiny('trash', 'Delete', () => deleteResource(it)))
   } else {
     wrap.appendChild(btnTiny('trash', 'Delete', () => deleteResource(it)))
   }
@@ -1247,7 +1236,7 @@ function closeDetail() {
   removeAllTinies()
 
   // Reset detail state.
-  state.detail = { item: null, preview: null, edit: false, isNew: false }
+  state.detail = { item: null, preview: null, edit: false, isNew: false, routeDraft: null }
 }
 
 function closeNoteView() {
@@ -2020,16 +2009,642 @@ function structuredCloneSafe(v) {
   return JSON.parse(JSON.stringify(v))
 }
 
-// Render the route detail view (read-only summary).
-function renderRouteDetail(it) {
+// Render the route detail view (summary, or editor in edit mode).
+function renderRouteDetail(it, editMode) {
+  const table = document.createElement('table')
+  table.className = 'proptable'
+
+  if (!editMode) {
+    const points = it.points || []
+    const legs = computeRouteLegs(points, state.legMode)
+    const unit = distanceUnitLabel(state.config.distanceUnit)
+    table.appendChild(propRow('Name', document.createTextNode(it.name || it.id)))
+    table.appendChild(propRow('Description', document.createTextNode(it.description || '—')))
+    table.appendChild(propRow('Updated', document.createTextNode(it.updated ? new Date(it.updated).toLocaleString() : '—')))
+    table.appendChild(propRow('Points', document.createTextNode(String(points.length))))
+    table.appendChild(propRow(`Total length (${unit})`, document.createTextNode(formatDistance(legs.length ? legs[legs.length - 1].totalNm : null))))
+    const nearest = document.createElement('span')
+    nearest.id = 'detailRouteNearest'
+    nearest.textContent = formatNearestLeg(nearestLeg(points))
+    table.appendChild(propRow(`Vessel to nearest leg (${unit})`, nearest))
+    if (points.length >= 2) table.appendChild(propRow('Follow route', renderRouteActivation(it)))
+
+    const plan = readPassagePlan(it)
+    const frag = document.createDocumentFragment()
+    frag.appendChild(table)
+    frag.appendChild(renderPassagePlan(it, plan, legs))
+    frag.appendChild(renderRouteLegs(legs, computePassage(legs, plan)))
+    return frag
+  }
+
+  const raw = state.resources.routes?.[it.id] || it.raw || {}
+
+  const nameInput = document.createElement('input')
+  nameInput.type = 'text'
+  nameInput.id = 'detailRouteName'
+  nameInput.className = 'textfield'
+  nameInput.value = raw.name || it.name || ''
+  table.appendChild(propRow('Name', nameInput))
+
+  const descInput = document.createElement('textarea')
+  descInput.id = 'detailRouteDesc'
+  descInput.className = 'editor__text'
+  descInput.rows = 3
+  descInput.value = raw.description || it.description || ''
+  table.appendChild(propRow('Description', descInput))
+
+  const host = document.createElement('div')
+  host.id = 'routePointsEditor'
+  host.className = 'route-editor'
+  renderRoutePointsEditor(host)
+  table.appendChild(propRow('Points', host))
+  return table
+}
+
+// Display label for a route point.
+function routePointLabel(p, index) {
+  return p?.name || `Point ${index + 1}`
+}
+
+// Compute per-leg distance, bearing and running total for a list of route points.
+function computeRouteLegs(points = [], mode = 'gc') {
+  const distFn = mode === 'rhumb' ? rhumbNm : haversineNm
+  const brgFn = mode === 'rhumb' ? rhumbBearingDeg : bearingDeg
+  const legs = []
+  let totalNm = 0
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    const distanceNm = distFn(a.latitude, a.longitude, b.latitude, b.longitude)
+    totalNm += distanceNm
+    legs.push({
+      index: i,
+      from: routePointLabel(a, i - 1),
+      to: routePointLabel(b, i),
+      distanceNm,
+      bearing: brgFn(a.latitude, a.longitude, b.latitude, b.longitude),
+      totalNm
+    })
+  }
+  return legs
+}
+
+// Find the route leg closest to the vessel (null without a vessel fix or legs).
+function nearestLeg(points = []) {
+  if (!state.vesselPos || points.length < 2) return null
+  const { latitude: lat, longitude: lon } = state.vesselPos
+  let best = null
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    const d = distanceToSegmentNm(lat, lon, a.latitude, a.longitude, b.latitude, b.longitude)
+    if (!best || d < best.distanceNm) best = { index: i, distanceNm: d }
+  }
+  return best
+}
+
+function formatNearestLeg(leg) {
+  if (!leg) return '—'
+  return `${formatDistance(leg.distanceNm)} (leg ${leg.index})`
+}
+
+// Meters per second in one knot (Signal K stores speeds in m/s).
+const MS_PER_KNOT = 1852 / 3600
+
+// Read the passage plan stored in the route's feature.properties.
+function readPassagePlan(it) {
+  const raw = state.resources.routes?.[it?.id] || it?.raw || {}
+  const plan = raw.feature?.properties?.passagePlan
+  return plan && typeof plan === 'object' ? plan : {}
+}
+
+// Speed (knots) used for planning: live SOG when requested, otherwise the planned speed.
+function passageSpeedKn(plan) {
+  if (plan.useSog) return state.vesselSog != null ? state.vesselSog / MS_PER_KNOT : null
+  const ms = Number(plan.plannedSpeed)
+  return ms > 0 ? ms / MS_PER_KNOT : null
+}
+
+// Compute per-leg duration, ETA and time-to-go (null when no usable speed is available).
+function computePassage(legs, plan) {
+  const kn = passageSpeedKn(plan)
+  if (!kn || kn <= 0 || !legs.length) return null
+  const dep = plan.departureTime ? new Date(plan.departureTime).getTime() : NaN
+  const start = Number.isNaN(dep) ? Date.now() : dep
+  const now = Date.now()
+  const out = legs.map((leg) => {
+    const eta = new Date(start + (leg.totalNm / kn) * 3600000)
+    return {
+      legSeconds: (leg.distanceNm / kn) * 3600,
+      eta,
+      ttgSeconds: Math.max(0, (eta.getTime() - now) / 1000)
+    }
+  })
+  return { speedKn: kn, departure: new Date(start), legs: out, arrival: out[out.length - 1] }
+}
+
+function formatDuration(seconds) {
+  if (seconds == null || Number.isNaN(seconds)) return '—'
+  const mins = Math.round(seconds / 60)
+  const d = Math.floor(mins / 1440)
+  const h = Math.floor((mins % 1440) / 60)
+  const m = mins % 60
+  if (d) return `${d}d ${h}h ${m}m`
+  if (h) return `${h}h ${m}m`
+  return `${m}m`
+}
+
+function formatEta(date) {
+  if (!date || Number.isNaN(date.getTime())) return '—'
+  return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+// Convert an ISO timestamp to the value format of a datetime-local input.
+function toLocalInputValue(iso) {
+  const d = iso ? new Date(iso) : null
+  if (!d || Number.isNaN(d.getTime())) return ''
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+// Write speed, destination arrival and time-to-go into the passage summary.
+function fillPassageSummary(passage, plan = {}, root = document) {
+  const set = (id, text) => { const el = root.querySelector(`#${id}`); if (el) el.textContent = text }
+  set('routePlanSpeed', passage ? `${fmt(passage.speedKn, 1)} kn` : (plan.useSog ? 'Waiting for SOG…' : 'Set a planned speed or use live SOG'))
+  set('routePlanArrival', formatEta(passage?.arrival?.eta))
+  set('routePlanTtg', formatDuration(passage?.arrival?.ttgSeconds))
+}
+
+// Render the passage plan form (departure, speed, live SOG) and destination summary.
+function renderPassagePlan(it, plan, legs) {
+  const wrap = document.createElement('div')
+  wrap.className = 'route-legs'
+  const title = document.createElement('div')
+  title.className = 'panel__title'
+  title.textContent = 'Passage plan'
+  wrap.appendChild(title)
+
+  const form = document.createElement('div')
+  form.className = 'route-plan'
+  const field = (label, input) => {
+    const l = document.createElement('label')
+    l.className = 'field'
+    const span = document.createElement('span')
+    span.textContent = label
+    l.appendChild(span)
+    l.appendChild(input)
+    return l
+  }
+  const dep = document.createElement('input')
+  dep.type = 'datetime-local'
+  dep.value = toLocalInputValue(plan.departureTime)
+  form.appendChild(field('Departure (blank = now)', dep))
+
+  const speed = document.createElement('input')
+  speed.type = 'number'
+  speed.min = '0'
+  speed.step = '0.1'
+  speed.value = Number(plan.plannedSpeed) > 0 ? fmt(plan.plannedSpeed / MS_PER_KNOT, 1) : ''
+  form.appendChild(field('Planned speed (kn)', speed))
+
+  const sog = document.createElement('label')
+  sog.className = 'checkbox'
+  const sogInput = document.createElement('input')
+  sogInput.type = 'checkbox'
+  sogInput.checked = !!plan.useSog
+  sog.appendChild(sogInput)
+  const sogLabel = document.createElement('span')
+  sogLabel.textContent = 'Use live SOG'
+  sog.appendChild(sogLabel)
+  form.appendChild(sog)
+
+  const save = document.createElement('button')
+  save.type = 'button'
+  save.className = 'btn btn--tiny'
+  save.innerHTML = '<span class="icon" data-icon="save"></span> Save plan'
+  applyIconMask(save, 'save')
+  save.addEventListener('click', () => {
+    const kn = parseFloat(speed.value)
+    const when = dep.value ? new Date(dep.value) : null
+    saveRoutePlan(it, {
+      departureTime: when && !Number.isNaN(when.getTime()) ? when.toISOString() : null,
+      plannedSpeed: Number.isNaN(kn) || kn <= 0 ? null : kn * MS_PER_KNOT,
+      useSog: sogInput.checked
+    })
+  })
+  form.appendChild(save)
+  wrap.appendChild(form)
+
+  const summary = document.createElement('table')
+  summary.className = 'proptable'
+  const cell = (id) => { const s = document.createElement('span'); s.id = id; return s }
+  summary.appendChild(propRow('Speed used', cell('routePlanSpeed')))
+  summary.appendChild(propRow('Arrival', cell('routePlanArrival')))
+  summary.appendChild(propRow('Time to go', cell('routePlanTtg')))
+  wrap.appendChild(summary)
+
+  fillPassageSummary(computePassage(legs, plan), plan, summary)
+  return wrap
+}
+
+// Persist the passage plan into the route's feature.properties.
+async function saveRoutePlan(it, plan) {
+  if (!await ensureWriteAccess()) return
+  const raw = state.resources.routes?.[it.id] || it.raw || {}
+  const payload = buildRoutePayload({
+    id: it.id,
+    name: raw.name ?? it.name,
+    description: raw.description ?? it.description,
+    points: it.points || [],
+    properties: { ...(raw.feature?.properties || {}), passagePlan: plan }
+  })
+  try {
+    setStatus('Saving plan...')
+    await putRoute(it.id, payload)
+    await openDetail(normalizeResource('routes', it.id, state.resources.routes?.[it.id] || payload))
+    setStatus('Plan saved ✔', true)
+  } catch (e) { setStatus(e.message || String(e), false) }
+}
+
+// PUT a route resource and refresh cached resources.
+async function putRoute(id, payload) {
+  const res = await fetch(`${RES_ENDPOINT('routes')}/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  })
+  if (!res.ok) throw new Error(`Save failed: ${res.status}`)
+  await refresh()
+}
+
+// Render the legs table with a great-circle / rhumb-line toggle.
+function renderRouteLegs(legs, passage = null) {
+  const wrap = document.createElement('div')
+  wrap.className = 'route-legs'
+
+  const head = document.createElement('div')
+  head.className = 'route-legs__head'
+  const title = document.createElement('div')
+  title.className = 'panel__title'
+  title.textContent = 'Legs'
+  head.appendChild(title)
+  const modeSel = document.createElement('select')
+  modeSel.innerHTML = '<option value="gc">Great circle</option><option value="rhumb">Rhumb line</option>'
+  modeSel.value = state.legMode
+  modeSel.addEventListener('change', async () => {
+    state.legMode = modeSel.value
+    await renderDetail()
+  })
+  head.appendChild(modeSel)
+  wrap.appendChild(head)
+
+  if (!legs.length) {
+    const p = document.createElement('p')
+    p.className = 'muted small'
+    p.textContent = 'A route needs at least two points to have legs.'
+    wrap.appendChild(p)
+    return wrap
+  }
+
+  const unit = distanceUnitLabel(state.config.distanceUnit)
+  const table = document.createElement('table')
+  table.className = 'route-points'
+  table.id = 'routeLegs'
+  table.innerHTML = `<thead><tr><th>#</th><th>From</th><th>To</th><th class="num">Dist (${unit})</th><th class="num">Brg (°)</th><th class="num">Total (${unit})</th><th class="num">Time</th><th class="num">ETA</th><th class="num">TTG</th></tr></thead>`
+  const tbody = document.createElement('tbody')
+  for (const [i, leg] of legs.entries()) {
+    const tr = document.createElement('tr')
+    tr.dataset.leg = i
+    const p = passage?.legs[i]
+    const cells = [
+      [String(leg.index), 'muted small'],
+      [leg.from, ''],
+      [leg.to, ''],
+      [formatDistance(leg.distanceNm), 'num'],
+      [formatBearing(leg.bearing), 'num'],
+      [formatDistance(leg.totalNm), 'num'],
+      [formatDuration(p?.legSeconds), 'num route-leg__time'],
+      [formatEta(p?.eta), 'num route-leg__eta'],
+      [formatDuration(p?.ttgSeconds), 'num route-leg__ttg']
+    ]
+    for (const [text, cls] of cells) {
+      const td = document.createElement('td')
+      if (cls) td.className = cls
+      td.textContent = text
+      tr.appendChild(td)
+    }
+    tbody.appendChild(tr)
+  }
+  table.appendChild(tbody)
+  wrap.appendChild(table)
+  return wrap
+}
+
+// Render start point / reverse controls and the Activate button for a route.
+function renderRouteActivation(it) {
+  const wrap = document.createElement('div')
+  wrap.className = 'route-editor__add'
+  const points = it.points || []
+
+  const start = document.createElement('select')
+  const reverse = document.createElement('input')
+  reverse.type = 'checkbox'
+  // Start options follow the direction of travel.
+  const fillStart = () => {
+    const order = points.map((p, i) => routePointLabel(p, i))
+    if (reverse.checked) order.reverse()
+    start.innerHTML = ''
+    order.forEach((label, i) => {
+      const o = document.createElement('option')
+      o.value = i
+      o.textContent = `Start at ${i + 1}. ${label}`
+      start.appendChild(o)
+    })
+  }
+  reverse.addEventListener('change', fillStart)
+  fillStart()
+  wrap.appendChild(start)
+
+  const rev = document.createElement('label')
+  rev.className = 'checkbox'
+  rev.appendChild(reverse)
+  const revLabel = document.createElement('span')
+  revLabel.textContent = 'Reverse'
+  rev.appendChild(revLabel)
+  wrap.appendChild(rev)
+
+  const go = document.createElement('button')
+  go.type = 'button'
+  go.className = 'btn btn--tiny'
+  go.innerHTML = '<span class="icon" data-icon="goto"></span> Activate'
+  applyIconMask(go, 'goto')
+  go.addEventListener('click', () => activateRoute(it, { pointIndex: Number(start.value) || 0, reverse: reverse.checked }))
+  wrap.appendChild(go)
+  return wrap
+}
+
+// Copy the current point inputs back into the route draft before structural edits or save.
+function syncRouteDraft() {
+  const draft = state.detail.routeDraft
+  if (!draft) return
+  document.querySelectorAll('#routePointsEditor tr[data-index]').forEach((tr) => {
+    const pt = draft.points[Number(tr.dataset.index)]
+    if (!pt || pt.href) return
+    pt.name = tr.querySelector('.route-point__name')?.value?.trim() || ''
+    pt.latitude = parseFloat(tr.querySelector('.route-point__lat')?.value)
+    pt.longitude = parseFloat(tr.querySelector('.route-point__lon')?.value)
+  })
+}
+
+// Render the editable list of route points with reorder/insert/remove controls.
+function renderRoutePointsEditor(host) {
+  const draft = state.detail.routeDraft
+  host.innerHTML = ''
+  if (!draft) return
+
+  // Apply a structural change after capturing pending input edits.
+  const mutate = (fn) => () => {
+    syncRouteDraft()
+    fn(draft.points)
+    renderRoutePointsEditor(host)
+  }
+
+  const mkCoord = (cls, placeholder, value, disabled) => {
+    const inp = document.createElement('input')
+    inp.type = 'number'
+    inp.step = '0.000001'
+    inp.className = cls
+    inp.placeholder = placeholder
+    inp.value = Number.isNaN(value) || value == null ? '' : value
+    inp.disabled = disabled
+    return inp
+  }
+
+  const table = document.createElement('table')
+  table.className = 'route-points'
+  table.innerHTML = '<thead><tr><th>#</th><th>Name</th><th>Latitude</th><th>Longitude</th><th></th></tr></thead>'
+  const tbody = document.createElement('tbody')
+  draft.points.forEach((pt, i) => {
+    const tr = document.createElement('tr')
+    tr.dataset.index = i
+
+    const tdIdx = document.createElement('td')
+    tdIdx.className = 'muted small'
+    tdIdx.textContent = String(i + 1)
+    tr.appendChild(tdIdx)
+
+    // Waypoint references are read-only: edit the waypoint itself to move them.
+    const linked = !!pt.href
+    const tdName = document.createElement('td')
+    const nameInp = document.createElement('input')
+    nameInp.type = 'text'
+    nameInp.className = 'route-point__name'
+    nameInp.placeholder = `Point ${i + 1}`
+    nameInp.value = pt.name || ''
+    nameInp.disabled = linked
+    if (linked) nameInp.title = pt.href
+    tdName.appendChild(nameInp)
+    tr.appendChild(tdName)
+
+    const tdLat = document.createElement('td')
+    tdLat.appendChild(mkCoord('route-point__lat', 'Latitude', pt.latitude, linked))
+    tr.appendChild(tdLat)
+    const tdLon = document.createElement('td')
+    tdLon.appendChild(mkCoord('route-point__lon', 'Longitude', pt.longitude, linked))
+    tr.appendChild(tdLon)
+
+    const tdAct = document.createElement('td')
+    const acts = document.createElement('div')
+    acts.className = 'row-actions'
+    const up = btnTiny('arrow-up', 'Move up', mutate(pts => { [pts[i - 1], pts[i]] = [pts[i], pts[i - 1]] }))
+    up.disabled = i === 0
+    const down = btnTiny('arrow-down', 'Move down', mutate(pts => { [pts[i + 1], pts[i]] = [pts[i], pts[i + 1]] }))
+    down.disabled = i === draft.points.length - 1
+    // Insert a free point halfway to the next one (or on top of the last one).
+    const insert = btnTiny('add', 'Insert after', mutate(pts => {
+      const a = pts[i]
+      const b = pts[i + 1] || a
+      pts.splice(i + 1, 0, {
+        name: '',
+        href: '',
+        latitude: (Number(a.latitude) + Number(b.latitude)) / 2,
+        longitude: (Number(a.longitude) + Number(b.longitude)) / 2
+      })
+    }))
+    const remove = btnTiny('trash', 'Remove', mutate(pts => { pts.splice(i, 1) }))
+    acts.appendChild(up)
+    acts.appendChild(down)
+    acts.appendChild(insert)
+    acts.appendChild(remove)
+    tdAct.appendChild(acts)
+    tr.appendChild(tdAct)
+
+    tbody.appendChild(tr)
+  })
+  table.appendChild(tbody)
+  host.appendChild(table)
+
+  if (!draft.points.length) {
+    const p = document.createElement('p')
+    p.className = 'muted small'
+    p.textContent = 'No points yet: add waypoints or coordinates below.'
+    host.appendChild(p)
+  }
+
+  // Append controls: pick an existing waypoint or add a free coordinate point.
+  const add = document.createElement('div')
+  add.className = 'route-editor__add'
+  const wpSelect = document.createElement('select')
+  wpSelect.id = 'routeAddWaypoint'
+  const blank = document.createElement('option')
+  blank.value = ''
+  blank.textContent = '— waypoint —'
+  wpSelect.appendChild(blank)
+  const waypoints = Object.entries(state.resources.waypoints || {})
+      .map(([id, obj]) => normalizeResource('waypoints', id, obj))
+      .filter(w => w.position)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+  for (const w of waypoints) {
+    const o = document.createElement('option')
+    o.value = w.id
+    o.textContent = w.name
+    wpSelect.appendChild(o)
+  }
+  add.appendChild(wpSelect)
+
+  const addWp = document.createElement('button')
+  addWp.type = 'button'
+  addWp.className = 'btn btn--tiny'
+  addWp.innerHTML = '<span class="icon" data-icon="add"></span> Add waypoint'
+  applyIconMask(addWp, 'add')
+  addWp.addEventListener('click', () => {
+    const w = waypoints.find(x => x.id === wpSelect.value)
+    if (!w) return
+    mutate(pts => pts.push({
+      name: w.name,
+      href: `/resources/waypoints/${w.id}`,
+      latitude: Number(w.position.latitude),
+      longitude: Number(w.position.longitude)
+    }))()
+  })
+  add.appendChild(addWp)
+
+  const addPt = document.createElement('button')
+  addPt.type = 'button'
+  addPt.className = 'btn btn--tiny'
+  addPt.innerHTML = '<span class="icon" data-icon="pin"></span> Add coordinates'
+  applyIconMask(addPt, 'pin')
+  addPt.addEventListener('click', mutate(pts => pts.push({
+    name: '',
+    href: '',
+    latitude: state.vesselPos?.latitude ?? NaN,
+    longitude: state.vesselPos?.longitude ?? NaN
+  })))
+  add.appendChild(addPt)
+  host.appendChild(add)
+}
+
+// Open an empty route in the editor.
+async function createRoute() {
+  if (!await ensureWriteAccess()) return
+  const id = genUuid()
+  const item = { type: 'routes', id, name: `Route ${new Date().toISOString().slice(0, 10)}`, description: '', points: [], raw: {} }
+  await openDetail(item, { edit: true, isNew: true })
+}
+
+// Render the track detail view (summary and statistics).
+function renderTrackDetail(it) {
+  const stats = trackStats(it)
+  const unit = distanceUnitLabel(state.config.distanceUnit)
+  const when = (d) => (d ? d.toLocaleString() : '—')
   const table = document.createElement('table')
   table.className = 'proptable'
   table.appendChild(propRow('Name', document.createTextNode(it.name || it.id)))
   table.appendChild(propRow('Description', document.createTextNode(it.description || '—')))
+  table.appendChild(propRow('Points', document.createTextNode(String((it.points || []).length))))
+  table.appendChild(propRow('Segments', document.createTextNode(String((it.segments || []).length))))
+  table.appendChild(propRow(`Length (${unit})`, document.createTextNode(formatDistance(stats.lengthNm))))
+  table.appendChild(propRow('Start', document.createTextNode(when(stats.start))))
+  table.appendChild(propRow('End', document.createTextNode(when(stats.end))))
+  table.appendChild(propRow('Duration', document.createTextNode(formatDuration(stats.seconds))))
+  table.appendChild(propRow('Average speed (kn)', document.createTextNode(stats.avgKn == null ? '—' : fmt(stats.avgKn, 1))))
   table.appendChild(propRow('Updated', document.createTextNode(it.updated ? new Date(it.updated).toLocaleString() : '—')))
   return table
 }
 
+// Render the "Make route from track" tool with a live simplification preview.
+function renderTrackToRoute(it) {
+  const wrap = document.createElement('div')
+  wrap.className = 'route-legs'
+  const title = document.createElement('div')
+  title.className = 'panel__title'
+  title.textContent = 'Make route from track'
+  wrap.appendChild(title)
+
+  const form = document.createElement('div')
+  form.className = 'route-plan'
+  const label = document.createElement('label')
+  label.className = 'field'
+  const span = document.createElement('span')
+  span.textContent = 'Tolerance (m)'
+  label.appendChild(span)
+  const tol = document.createElement('input')
+  tol.type = 'number'
+  tol.min = '1'
+  tol.step = '1'
+  tol.value = '25'
+  label.appendChild(tol)
+  form.appendChild(label)
+
+  const preview = document.createElement('div')
+  preview.className = 'muted small route-plan__preview'
+  form.appendChild(preview)
+
+  const total = (it.points || []).length
+  const simplified = () => simplifyPoints(it.points || [], parseFloat(tol.value))
+  const update = () => { preview.textContent = `${simplified().length} of ${total} points remain` }
+  tol.addEventListener('input', update)
+  update()
+
+  const save = document.createElement('button')
+  save.type = 'button'
+  save.className = 'btn btn--tiny'
+  save.innerHTML = '<span class="icon" data-icon="save"></span> Save as route'
+  applyIconMask(save, 'save')
+  save.addEventListener('click', () => saveTrackAsRoute(it, simplified()))
+  form.appendChild(save)
+  wrap.appendChild(form)
+  return wrap
+}
+
+// Create a new route resource from simplified track points.
+async function saveTrackAsRoute(it, points) {
+  if (!await ensureWriteAccess()) return
+  if (points.length < 2) { setStatus('A route needs at least two points', false); return }
+  const name = prompt('Route name:', `${it.name || 'Track'} (route)`)
+  if (!name) return
+  const id = genUuid()
+  const payload = buildRoutePayload({
+    id,
+    name,
+    description: `Simplified from track ${it.name || it.id}`,
+    points: points.map(p => ({ latitude: p.latitude, longitude: p.longitude, name: '', href: '' }))
+  })
+  try {
+    setStatus('Creating route...')
+    await putRoute(id, payload)
+    setStatus(`Route created with ${points.length} points ✔`, true)
+  } catch (e) { setStatus(e.message || String(e), false) }
+}
+
+// Download a single track as GeoJSON.
+function exportTrack(it) {
+  // Same item as the list export: segments keep recording gaps, point times and properties survive.
+  const tracks = [{ id: it.id, name: it.name, description: it.description, segments: it.segments || [], points: it.points || [], ...resourceMeta(it) }]
+  const safe = (it.name || it.id).replace(/[^\w.-]+/g, '_')
+  downloadText(`${safe}.geojson`, toGeoJSON({ tracks }))
+  setStatus('Exported ✔', true)
+}
+
 // Render the file detail view, including previews/editors.
 async function renderFileDetail(it, preview, editMode, isNew, { fullView = false } = {}) {
   const frag = document.createDocumentFragment()
@@ -2155,8 +2770,26 @@ async function renderDetail() {
 
     saveable = edit
   } else if (item.type === 'routes') {
+    if (!isNew) {
+      const toggleEdit = btnTiny(edit ? 'close' : 'edit', 'Edit', async () => {
+        state.detail.edit = !state.detail.edit
+        state.detail.routeDraft = null
+        await renderDetail()
+      })
+      actions.appendChild(toggleEdit)
+      actions.appendChild(btnTiny('arrow-right', 'Send via NMEA 0183', () => openSendNmea([item])))
+      actions.appendChild(btnTiny('trash', 'Delete', () => deleteResource(item)))
+    }
+    if (edit && !state.detail.routeDraft) {
+      state.detail.routeDraft = { points: (item.points || []).map(p => ({ ...p })) }
+    }
+    body.appendChild(renderRouteDetail(item, edit))
+    saveable = edit
+  } else if (item.type === 'tracks') {
+    actions.appendChild(btnTiny('download', 'Export', () => exportTrack(item)))
     actions.appendChild(btnTiny('trash', 'Delete', () => deleteResource(item)))
-    body.appendChild(renderRouteDetail(item))
+    body.appendChild(renderTrackDetail(item))
+    if ((item.points || []).length >= 2) body.appendChild(renderTrackToRoute(item))
   } else if (item.type === 'files') {
     actions.appendChild(btnTiny('download', 'Download', () => remoteDownload(item.id)))
     if (item.fileType === 'file') {
@@ -2175,6 +2808,12 @@ async function renderDetail() {
         const dest = await remoteMove(item.id)
         if (dest) await openDetail({ ...item, id: dest, name: dest.split('/').pop(), fileType: 'file' })
       }))
+      if (isBackupPreview(preview)) {
+        actions.appendChild(btnTiny('upload', 'Restore this snapshot', () => restoreSnapshot(preview.text, 'merge')))
+        actions.appendChild(btnTiny('upload', 'Restore (replace)', () => restoreSnapshot(preview.text, 'replace')))
+      } else if (importFormatForFile(item.name)) {
+        actions.appendChild(btnTiny('upload', 'Import into resources', () => importRemoteFile(item.id)))
+      }
     }
     actions.appendChild(btnTiny('trash', 'Delete', () => deleteResource(item)))
     const fullView = isTextPreview(preview, edit, isNew) || isBinaryPreview(preview)
@@ -2192,7 +2831,7 @@ async function openDetail(it, opts = {}) {
   // Ensure we start from a clean editor slate.
   // This avoids TinyMCE instances from previous items (files/waypoints) lingering in the DOM.
   removeAllTinies()
-  state.detail = { item: it, preview: null, edit: !!opts.edit, isNew: !!opts.isNew }
+  state.detail = { item: it, preview: null, edit: !!opts.edit, isNew: !!opts.isNew, routeDraft: null }
   try {
     if (opts.preview) {
       state.detail.preview = opts.preview
@@ -2213,8 +2852,8 @@ async function openDetail(it, opts = {}) {
       fetchWaypointNotes(it.id)
           .then(() => { if (state.detail.item?.id === it.id) renderDetail() })
           .catch(() => {})
-    } else if (it.type === 'routes') {
-      state.detail.preview = { raw: state.resources.routes?.[it.id] || it.raw }
+    } else if (it.type === 'routes' || it.type === 'tracks') {
+      state.detail.preview = { raw: state.resources[it.type]?.[it.id] || it.raw }
     }
   } catch (e) {
     state.detail.preview = { ok: false, error: e.message || String(e) }
@@ -2278,6 +2917,35 @@ async function saveDetail() {
     return
   }
 
+  if (item.type === 'routes') {
+    syncRouteDraft()
+    const name = $('#detailRouteName')?.value?.trim()
+    const description = ($('#detailRouteDesc')?.value || '').trim()
+    const points = state.detail.routeDraft?.points || []
+    if (!name) { setStatus('Missing route name', false); return }
+    const bad = points.findIndex(p => Number.isNaN(Number(p.latitude)) || Number.isNaN(Number(p.longitude)) ||
+        Math.abs(p.latitude) > 90 || Math.abs(p.longitude) > 180)
+    if (bad >= 0) { setStatus(`Invalid coordinates at point ${bad + 1}`, false); return }
+    if (points.length < 2) { setStatus('A route needs at least two points', false); return }
+
+    // Keep any extra feature properties already stored on the route.
+    const raw = state.resources.routes?.[item.id] || item.raw || {}
+    const updated = buildRoutePayload({
+      id: item.id,
+      name,
+      description,
+      points,
+      properties: raw.feature?.properties || {}
+    })
+    try {
+      setStatus('Saving...')
+      await putRoute(item.id, updated)
+      await openDetail(normalizeResource('routes', item.id, state.resources.routes?.[item.id] || updated))
+      setStatus('Saved ✔', true)
+    } catch (e) { setStatus(e.message || String(e), false) }
+    return
+  }
+
   if (item.type === 'files') {
     const path = $('#detailFilePath')?.value?.trim() || item.id
     const ok = await remoteSaveText(path, getTextEditorValue('#detailTextEditor'))
@@ -2324,6 +2992,8 @@ function render() {
 
   // Toggle action bars.
   $('#navActions')?.classList.toggle('hidden', isFiles)
+  $('#courseActions')?.classList.toggle('hidden', isFiles)
+  $('#recorderActions')?.classList.toggle('hidden', state.tab !== 'tracks')
   $('#fileActions')?.classList.toggle('hidden', !isFiles)
 
   // Toggle filter fields that are navigation-specific.
@@ -2334,11 +3004,12 @@ function render() {
   if (iconField) setHidden(iconField, isFiles)
   if (rootField) setHidden(rootField, !isFiles || state.config.fileRoots.length < 2)
 
-  const disableWaypointActions = state.tab !== 'waypoints'
-  $('#btnCreateHere')?.setAttribute('aria-disabled', disableWaypointActions)
-  if ($('#btnCreateHere')) $('#btnCreateHere').disabled = disableWaypointActions
-  if ($('#btnImport')) $('#btnImport').disabled = disableWaypointActions
-  if ($('#btnExport')) $('#btnExport').disabled = disableWaypointActions
+  const disableCreate = state.tab !== 'waypoints' && state.tab !== 'routes'
+  $('#btnCreateHere')?.setAttribute('aria-disabled', disableCreate)
+  if ($('#btnCreateHere')) $('#btnCreateHere').disabled = disableCreate
+  if ($('#btnImport')) $('#btnImport').disabled = isFiles
+  if ($('#btnExport')) $('#btnExport').disabled = isFiles
+  if ($('#btnSendNmea')) $('#btnSendNmea').disabled = state.tab !== 'waypoints' && state.tab !== 'routes'
 
   // Compute items and derived metrics for waypoints.
   let list = getItemsForTab().map(it => {
@@ -2457,13 +3128,17 @@ function render() {
     // Append row into table.
     tbody.appendChild(tr)
   }
+  // Re-apply the active destination highlight to the new rows.
+  renderCoursePanel()
 }
 
-// Refresh both waypoints and routes from server and rerender.
+// Refresh waypoints, routes and tracks from server and rerender.
 async function refresh() {
   try {
     setStatus('Refreshing…')
-    await Promise.all([fetchResources('waypoints'), fetchResources('routes')])
+    // Tracks need a tracks-capable resources provider; treat a missing one as "no tracks".
+    const tracks = fetchResources('tracks').catch(() => { state.resources.tracks = {} })
+    await Promise.all([fetchResources('waypoints'), fetchResources('routes'), tracks])
     render()
     setStatus('Ready', true)
   } catch (e) {
@@ -2488,6 +3163,80 @@ async function gotoWaypoint(it) {
   } catch (e) { setStatus(e.message || String(e), false) }
 }
 
+// Activate a route through the plugin API (Course API or delta fallback).
+async function activateRoute(it, { pointIndex = 0, reverse = false } = {}) {
+  // Ensure write access
+  if (!await ensureWriteAccess()) return
+
+  try {
+    setStatus('Activating route…')
+    const points = (it.points || []).map(p => ({ latitude: p.latitude, longitude: p.longitude, name: p.name || '' }))
+    const res = await fetch(API_BASE+'/route/activate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ route: { id: it.id, name: it.name, points }, pointIndex, reverse })
+    })
+    const j = await res.json().catch(() => ({}))
+    if (!res.ok || j.ok === false) throw new Error(j.error || `Activate failed: ${res.status}`)
+    setStatus('Route activated ✔', true)
+  } catch (e) { setStatus(e.message || String(e), false) }
+}
+
+// Send a course command (clear/next/previous) via plugin API.
+async function courseCommand(action, label) {
+  // Ensure write access
+  if (!await ensureWriteAccess()) return
+
+  try {
+    setStatus(`${label}…`)
+    const res = await fetch(`${API_BASE}/course/${action}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' })
+    const j = await res.json().catch(() => ({}))
+    if (!res.ok || j.ok === false) throw new Error(j.error || `${label} failed: ${res.status}`)
+    const point = j.pointIndex != null ? ` (point ${j.pointIndex + 1}${j.pointTotal ? `/${j.pointTotal}` : ''})` : ''
+    setStatus(`${label} ✔${point}`, true)
+  } catch (e) { setStatus(e.message || String(e), false) }
+}
+
+// Show the track recorder state in the Tracks toolbar.
+function renderRecorderStatus(j) {
+  const el = $('#recorderStatus')
+  if (!el) return
+  const status = j?.status || 'unknown'
+  const track = j?.track ? ` • ${j.track.name} (${j.track.points} pts)` : ''
+  el.textContent = `Recorder: ${status}${track}`
+  if ($('#btnRecStart')) $('#btnRecStart').disabled = status === 'recording'
+  if ($('#btnRecPause')) $('#btnRecPause').disabled = status !== 'recording'
+  if ($('#btnRecStop')) $('#btnRecStop').disabled = status === 'stopped'
+}
+
+// Fetch the track recorder status from the plugin.
+async function fetchRecorderStatus() {
+  try {
+    const res = await fetch(`${API_BASE}/recorder`, { cache: 'no-cache' })
+    const j = await res.json().catch(() => ({}))
+    if (!res.ok || j.ok === false) throw new Error(j.error || `Recorder status failed: ${res.status}`)
+    renderRecorderStatus(j)
+  } catch (e) {
+    renderRecorderStatus(null)
+  }
+}
+
+// Start/pause/stop the server-side track recorder.
+async function recorderCommand(action) {
+  // Ensure write access
+  if (!await ensureWriteAccess()) return
+
+  try {
+    const res = await fetch(`${API_BASE}/recorder/${action}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' })
+    const j = await res.json().catch(() => ({}))
+    if (!res.ok || j.ok === false) throw new Error(j.error || `Recorder ${action} failed: ${res.status}`)
+    renderRecorderStatus(j)
+    // Pausing and stopping save the track, so show it in the list.
+    if (action !== 'start') await refresh()
+    setStatus(`Recorder: ${j.status}`, true)
+  } catch (e) { setStatus(e.message || String(e), false) }
+}
+
 // Publish waypoint selection for map display.
 async function showOnMap(it) {
   try {
@@ -2582,6 +3331,42 @@ async function deleteResource(it, { skipConfirm = false, skipAccessCheck = false
   } catch (e) { setStatus(e.message || String(e), false) }
 }
 
+// Open the NMEA send dialog for the given waypoints/routes (defaults: selection on the current tab).
+function openSendNmea(items) {
+  const list = items || [...state.selected]
+      .filter(k => k.startsWith(state.tab + ':'))
+      .map(k => normalizeResource(state.tab, k.slice(state.tab.length + 1), state.resources[state.tab]?.[k.slice(state.tab.length + 1)] || {}))
+  if (!list.length) { setStatus(`Select ${state.tab === 'routes' ? 'a route' : 'waypoints'} to send`, false); return }
+  state.nmeaSend = list
+  $('#nmeaSendSummary').textContent = `${list.length} ${list[0].type} selected`
+  $('#nmeaTalker').value = state.config.nmeaOutput.talker || 'GP'
+  $('#nmeaInterval').value = state.config.nmeaOutput.interval ?? 250
+  $('#dlgSendNmea').showModal()
+}
+
+// Send waypoints/routes as WPL/RTE sentences through the plugin's NMEA 0183 output.
+async function sendNmea() {
+  // Ensure write access
+  if (!await ensureWriteAccess()) return
+
+  const items = state.nmeaSend || []
+  const waypoints = items.filter(it => it.type === 'waypoints' && it.position)
+      .map(it => ({ name: it.name, latitude: it.position.latitude, longitude: it.position.longitude }))
+  const routes = items.filter(it => it.type === 'routes' && (it.points || []).length)
+      .map(it => ({ name: it.name, points: it.points.map(p => ({ name: p.name || '', latitude: p.latitude, longitude: p.longitude })) }))
+  try {
+    setStatus('Sending NMEA 0183…')
+    const res = await fetch(API_BASE+'/nmea/send', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ waypoints, routes, talker: $('#nmeaTalker').value.trim(), interval: Number($('#nmeaInterval').value) })
+    })
+    const j = await res.json().catch(() => ({}))
+    if (!res.ok || !j.ok) throw new Error(j.error || `NMEA send failed: ${res.status}`)
+    setStatus(`Queued ${j.sentences} sentence(s), about ${Math.ceil((j.estimatedMs || 0) / 1000)} s ✔`, true)
+  } catch (e) { setStatus(e.message || String(e), false) }
+}
+
 // Bulk delete currently selected items for the active tab.
 async function bulkDelete() {
 
@@ -2653,26 +3438,255 @@ async function createAtVesselPosition() {
   } catch (e) { setStatus(e.message || String(e), false) }
 }
 
+// Fetch every resource collection exactly as the server returns it (types without a provider are left out).
+async function fetchAllResources(signal) {
+  const out = {}
+  for (const type of BACKUP_TYPES) {
+    try {
+      const res = await fetch(RES_ENDPOINT(type), { cache: 'no-cache', signal })
+      if (res.ok) out[type] = await res.json() || {}
+    } catch (e) {
+      if (signal?.aborted) throw new Error('cancelled')
+    }
+  }
+  return out
+}
+
+// Download a full-fidelity backup of all resources.
+async function exportBackup() {
+  const ctrl = beginProgress('Collecting resources…')
+  try {
+    const resources = await fetchAllResources(ctrl.signal)
+    if (ctrl.signal.aborted) throw new Error('cancelled')
+    const saved = await deliverExport(exportFileName('resources', 'json'), toBackup(resources))
+    if (saved) setStatus(`Backup ${saved === true ? 'saved' : `saved to ${saved}`} (${Object.entries(resources).map(([t, c]) => `${Object.keys(c).length} ${t}`).join(', ')}) ✔`, true)
+  } catch (e) {
+    if (ctrl.signal.aborted || e.message === 'cancelled') setStatus('Export cancelled', false)
+    else setStatus(e.message || String(e), false)
+  } finally {
+    hideProgress()
+  }
+}
+
+// Compare two resources ignoring server-managed metadata and key order.
+function sameResource(a, b) {
+  const canon = (v) => {
+    if (Array.isArray(v)) return v.map(canon)
+    if (v && typeof v === 'object') {
+      return Object.keys(v).filter(k => k !== 'timestamp' && k !== '$source').sort().reduce((o, k) => { o[k] = canon(v[k]); return o }, {})
+    }
+    return v
+  }
+  return JSON.stringify(canon(a)) === JSON.stringify(canon(b))
+}
+
+// Restore a parsed backup archive.
+// merge: create missing resources, keep the server version on conflicts.
+// replace: overwrite conflicts and delete resources that are not in the backup.
+async function restoreBackup({ manifest, resources }, mode = 'merge') {
+  const types = Object.keys(resources)
+  if (!types.length) throw new Error('Backup contains no resources')
+  if (mode === 'replace' && !confirm(`Replace all ${types.join(', ')} on the server with the backup from ${manifest.created || 'unknown date'}? Resources not in the backup will be deleted.`)) {
+    setStatus('Restore cancelled', false)
+    return
+  }
+
+  const ctrl = beginProgress('Reading current resources…', { indeterminate: false })
+  try {
+    const current = await fetchAllResources(ctrl.signal)
+
+    // Plan the writes and collect conflicts before touching anything.
+    const puts = []
+    const deletes = []
+    const conflicts = []
+    let unchanged = 0
+    for (const type of types) {
+      const existing = current[type]
+      if (!existing) { conflicts.push(`${type}: no provider on this server, skipped`); continue }
+      for (const [id, obj] of Object.entries(resources[type])) {
+        if (!(id in existing)) { puts.push({ type, id, obj }); continue }
+        if (sameResource(existing[id], obj)) { unchanged++; continue }
+        conflicts.push(`${type}/${id} (${obj.name || existing[id].name || id}): ${mode === 'replace' ? 'overwritten' : 'kept server version'}`)
+        if (mode === 'replace') puts.push({ type, id, obj, overwrite: true })
+      }
+      if (mode === 'replace') {
+        for (const id of Object.keys(existing)) if (!(id in resources[type])) deletes.push({ type, id })
+      }
+    }
+
+    const total = puts.length + deletes.length
+    let done = 0
+    for (const { type, id, obj } of puts) {
+      if (ctrl.signal.aborted) throw new Error('cancelled')
+      // timestamp and $source are set by the server on write.
+      const { timestamp, $source, ...body } = obj
+      const res = await fetch(`${RES_ENDPOINT(type)}/${encodeURIComponent(id)}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal: ctrl.signal })
+      if (!res.ok) throw new Error(`Restore ${type}/${id} failed: ${res.status}`)
+      updateProgress((++done / total) * 100, `Restoring ${done}/${total}…`)
+    }
+    for (const { type, id } of deletes) {
+      if (ctrl.signal.aborted) throw new Error('cancelled')
+      const res = await fetch(`${RES_ENDPOINT(type)}/${encodeURIComponent(id)}`, { method: 'DELETE', signal: ctrl.signal })
+      if (!res.ok) throw new Error(`Delete ${type}/${id} failed: ${res.status}`)
+      updateProgress((++done / total) * 100, `Restoring ${done}/${total}…`)
+    }
+
+    await refresh()
+    const created = puts.filter(p => !p.overwrite).length
+    const summary = `Restored: ${created} created, ${puts.length - created} overwritten, ${deletes.length} deleted, ${unchanged} unchanged`
+    setStatus(`${summary}${conflicts.length ? `, ${conflicts.length} conflict(s)` : ''} ✔`, true)
+    if (conflicts.length) showReport('Restore conflicts', summary, conflicts)
+  } finally {
+    hideProgress()
+  }
+}
+
+// True when a file preview holds a resources backup (e.g. a scheduled snapshot).
+function isBackupPreview(preview) {
+  return preview?.kind === 'text' && typeof preview.text === 'string' && preview.text.includes(`"${BACKUP_FORMAT}"`)
+}
+
+// Restore resources from a backup file opened in the Files tab.
+async function restoreSnapshot(text, mode) {
+  // Ensure write access
+  if (!await ensureWriteAccess()) return
+
+  try {
+    await restoreBackup(parseBackup(text), mode)
+  } catch (e) {
+    if (e.name === 'AbortError' || e.message === 'cancelled') setStatus('Restore cancelled', false)
+    else setStatus(e.message || String(e), false)
+  }
+}
+
+// Show a list of messages (e.g. restore conflicts) in the report dialog.
+function showReport(title, summary, lines) {
+  const dlg = $('#dlgReport')
+  if (!dlg) return
+  $('#reportTitle').textContent = title
+  $('#reportSummary').textContent = summary
+  const list = $('#reportList')
+  list.innerHTML = ''
+  for (const line of lines) {
+    const li = document.createElement('li')
+    li.textContent = line
+    list.appendChild(li)
+  }
+  dlg.showModal()
+}
+
+// Full feature properties and timestamp of a resource, for lossless GeoJSON export.
+function resourceMeta(it) {
+  const props = it.raw?.feature?.properties || it.raw?.properties
+  return {
+    ...(props ? { properties: JSON.parse(JSON.stringify(props)) } : {}),
+    ...(it.raw?.timestamp ? { timestamp: it.raw.timestamp } : {})
+  }
+}
+
+// Export file name from the dialog template: {date}, {time}, {tab} and {filter} (the active list filter).
+function exportFileName(tab, ext, now = new Date()) {
+  const safe = (v) => String(v || '').trim().replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '')
+  const iso = now.toISOString()
+  const filter = [$('#filterText')?.value, $('#filterType')?.value, $('#filterWithinNm')?.value && `within-${$('#filterWithinNm').value}`]
+      .map(safe).filter(Boolean).join('-') || 'all'
+  const values = { date: iso.slice(0, 10).replace(/-/g, ''), time: iso.slice(11, 19).replace(/:/g, ''), tab, filter }
+  const template = ($('#exportFilename')?.value || '').trim() || '{tab}-{date}'
+  const name = template.replace(/\{(date|time|tab|filter)\}/g, (m, key) => safe(values[key])).replace(/[\\/]+/g, '_')
+  return name.toLowerCase().endsWith(`.${ext}`) ? name : `${name}.${ext}`
+}
+
+// Base64 for binary export content (e.g. KMZ) sent through /files/write.
+function bytesToBase64(bytes) {
+  let bin = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(bin)
+}
+
+// Download the export, or write it into the chosen file root and folder.
+// Returns true for downloads, the saved path for file roots, and false when the user keeps an existing file.
+async function deliverExport(filename, content) {
+  if ($('#exportDestination')?.value !== 'files' || !hasFileRoots()) {
+    downloadText(filename, content)
+    return true
+  }
+  if (!await ensureWriteAccess()) return false
+  const rootId = $('#exportRoot').value || activeFileRootId()
+  const folder = normalizeFilePath($('#exportFolder').value).replace(/^\/+|\/+$/g, '')
+  const rel = folder ? `${folder}/${filename}` : filename
+
+  // Overwrite check against the target folder.
+  const list = await fetch(`${API_BASE}/files/list${buildFileQuery(folder, rootId)}`)
+  const lj = await list.json().catch(() => ({}))
+  if (!list.ok || !lj.ok) throw new Error(lj.error || `List failed: ${list.status}`)
+  if ((lj.entries || []).some(e => e.name === filename)) {
+    if ((lj.entries || []).some(e => e.name === filename && e.type === 'dir')) throw new Error(`${rel} is a folder`)
+    if (!confirm(`${rel} already exists in ${fileRootLabel(rootId)}. Overwrite?`)) { setStatus('Export not saved', false); return false }
+  }
+
+  const binary = content instanceof Uint8Array
+  const res = await fetch(`${API_BASE}/files/write`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path: rel, content: binary ? bytesToBase64(content) : content, encoding: binary ? 'base64' : 'utf8', root: rootId })
+  })
+  const j = await res.json().catch(() => ({}))
+  if (!res.ok || !j.ok) throw new Error(j.error || `Save failed: ${res.status}`)
+  return `${fileRootLabel(rootId)}:/${rel}`
+}
+
+// Fill the export destination fields (file roots) when the dialog opens.
+function prepareExportDialog() {
+  const roots = state.config.fileRoots || []
+  setHidden($('#exportDestinationField'), !roots.length)
+  if (!roots.length) $('#exportDestination').value = 'download'
+  const select = $('#exportRoot')
+  const current = select.value || activeFileRootId()
+  select.innerHTML = ''
+  for (const root of roots) {
+    const opt = document.createElement('option')
+    opt.value = root.id
+    opt.textContent = root.label || root.id
+    select.appendChild(opt)
+  }
+  if (roots.some(root => root.id === current)) select.value = current
+  updateExportDestination()
+}
+
+// Show the file root options and a file name preview for the current destination.
+function updateExportDestination() {
+  setHidden($('#exportFileOptions'), $('#exportDestination').value !== 'files')
+  const fmtSel = $('#exportFormat').value
+  const ext = fmtSel === 'backup' ? 'json' : EXPORT_FORMATS[fmtSel]?.ext || fmtSel
+  $('#exportFilenamePreview').textContent = exportFileName(fmtSel === 'backup' ? 'resources' : state.tab, ext)
+}
+
 // Export current items according to selected format.
 async function doExport() {
   const fmtSel = $('#exportFormat').value
   const selectedOnly = $('#exportSelectedOnly').checked
+  if (fmtSel === 'backup') return exportBackup()
   const items = selectedOnly ? state.list.filter(it => state.selected.has(`${it.type}:${it.id}`)) : state.list
-  if (state.tab !== 'waypoints') { setStatus('Export currently supports waypoints only', false); return }
+  if (!['waypoints', 'routes', 'tracks'].includes(state.tab)) { setStatus('Export supports waypoints, routes and tracks', false); return }
 
-  const waypoints = items.map(it => ({
+  const waypoints = state.tab !== 'waypoints' ? [] : items.map(it => ({
     id: it.id, name: it.name, description: it.description,
-    latitude: it.position?.latitude, longitude: it.position?.longitude, icon: it.icon || '', type: it.wpType || '', skIcon: it.skIcon || ''
+    latitude: it.position?.latitude, longitude: it.position?.longitude, icon: it.icon || '', type: it.wpType || '', skIcon: it.skIcon || '',
+    ...resourceMeta(it)
   })).filter(w => w.latitude != null && w.longitude != null)
+  const routes = state.tab !== 'routes' ? [] : items.map(it => ({
+    id: it.id, name: it.name, description: it.description, points: it.points || [], ...resourceMeta(it)
+  })).filter(r => r.points.length)
+  const tracks = state.tab !== 'tracks' ? [] : items.map(it => ({
+    id: it.id, name: it.name, description: it.description, segments: it.segments || [], points: it.points || [], ...resourceMeta(it)
+  })).filter(t => t.points.length)
+  if (!waypoints.length && !routes.length && !tracks.length) { setStatus(`No ${state.tab} to export`, false); return }
 
   const ctrl = beginProgress('Exporting…')
   try {
     if (ctrl.signal.aborted) throw new Error('cancelled')
-    if (fmtSel === 'csv') downloadText('waypoints.csv', toCSV(waypoints))
-    if (fmtSel === 'gpx') downloadText('waypoints.gpx', toGPX({ waypoints }))
-    if (fmtSel === 'kml') downloadText('waypoints.kml', toKML({ waypoints }))
-    if (fmtSel === 'geojson') downloadText('waypoints.geojson', toGeoJSON({ waypoints }))
-    setStatus('Exported ✔', true)
+    const saved = await deliverExport(exportFileName(state.tab, EXPORT_FORMATS[fmtSel].ext), serializeItems(fmtSel, { waypoints, routes, tracks }))
+    if (saved) setStatus(saved === true ? 'Exported ✔' : `Saved ${saved} ✔`, true)
   } catch (e) {
     if (ctrl.signal.aborted || e.message === 'cancelled') setStatus('Export cancelled', false)
     else setStatus(e.message || String(e), false)
@@ -2681,55 +3695,343 @@ async function doExport() {
   }
 }
 
-// Import waypoints from uploaded file into server resources.
+// Importer fields offered in the CSV column mapping step.
+const CSV_FIELDS = [
+  ['id', 'Resource id'],
+  ['name', 'Name'],
+  ['description', 'Description'],
+  ['latitude', 'Latitude'],
+  ['longitude', 'Longitude'],
+  ['position', 'Position (lat + lon)'],
+  ['icon', 'Icon / type'],
+  ['depth', 'Depth']
+]
+const CSV_DELIMITER_VALUES = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' }
+
+// The file dlgImport works on: one fetched from the Files tab, else the chosen local file.
+function importSourceFile() {
+  return state.importRemote || $('#importFile').files?.[0]
+}
+
+// Show the options matching the selected import format.
+async function updateImportOptions() {
+  const fmtSel = $('#importFormat').value
+  setHidden($('#importFileField'), !!state.importRemote)
+  setHidden($('#importRemoteName'), !state.importRemote)
+  $('#importRemoteName').textContent = state.importRemote ? `File: ${state.importRemote.name}` : ''
+  setHidden($('#importRestoreModeField'), fmtSel !== 'backup')
+  setHidden($('#csvOptions'), fmtSel !== 'csv')
+  if (fmtSel === 'csv') await prepareCsvImport()
+}
+
+// Read the chosen CSV file and build the column mapping step (delimiter, columns, depth unit).
+async function prepareCsvImport() {
+  const f = importSourceFile()
+  const host = $('#csvMapping')
+  if (!host) return
+  if (!f) { state.csvImport = null; host.innerHTML = ''; $('#csvPreview').textContent = 'Choose a file to map its columns.'; return }
+  const text = await f.text()
+  const { delimiter, header } = parseCSVTable(text, { delimiter: CSV_DELIMITER_VALUES[$('#csvDelimiter').value] })
+  state.csvImport = { text, header, delimiter }
+  if (!$('#csvDepthUnit').dataset.touched) $('#csvDepthUnit').value = state.config.depthUnit || 'm'
+
+  const guess = guessCSVMapping(header)
+  host.innerHTML = ''
+  for (const [field, label] of CSV_FIELDS) {
+    const wrap = document.createElement('label')
+    wrap.className = 'field'
+    const span = document.createElement('span')
+    span.textContent = label
+    const sel = document.createElement('select')
+    sel.dataset.field = field
+    for (const col of ['', ...header]) {
+      const o = document.createElement('option')
+      o.value = col
+      o.textContent = col || '— none —'
+      sel.appendChild(o)
+    }
+    sel.value = header.includes(guess[field]) ? guess[field] : ''
+    sel.addEventListener('change', updateCsvPreview)
+    wrap.appendChild(span)
+    wrap.appendChild(sel)
+    host.appendChild(wrap)
+  }
+  updateCsvPreview()
+}
+
+// Current CSV import options from the mapping step.
+function csvImportOptions() {
+  const mapping = {}
+  for (const sel of document.querySelectorAll('#csvMapping select')) mapping[sel.dataset.field] = sel.value
+  return {
+    delimiter: state.csvImport?.delimiter || CSV_DELIMITER_VALUES[$('#csvDelimiter')?.value],
+    mapping,
+    depthUnit: $('#csvDepthUnit')?.value || 'm'
+  }
+}
+
+// Summarize what the current mapping would import.
+function updateCsvPreview() {
+  const out = $('#csvPreview')
+  if (!out || !state.csvImport) return
+  const names = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }
+  const items = parseCSV(state.csvImport.text, csvImportOptions())
+  const first = items.find(it => it.kind === 'waypoint')
+  const skipped = Math.max(0, parseCSVTable(state.csvImport.text, { delimiter: state.csvImport.delimiter }).rows.length - items.reduce((n, it) => n + (it.points?.length || 1), 0))
+  out.textContent = [
+    `Delimiter: ${names[state.csvImport.delimiter] || state.csvImport.delimiter}`,
+    `${items.length} item(s)`,
+    skipped ? `${skipped} row(s) without valid coordinates` : '',
+    first ? `first: ${first.name} ${first.latitude.toFixed(5)}, ${first.longitude.toFixed(5)}${first.properties?.depth != null ? `, depth ${first.properties.depth} m` : ''}` : ''
+  ].filter(Boolean).join(' • ')
+}
+
+// Waypoint type for an imported symbol name, checked against the loaded icon catalogs.
+function typeForImportSymbol(symbol) {
+  return waypointTypeForSymbol(symbol, id => !!iconForType(id))
+}
+
+// Import waypoints, routes, tracks and regions from uploaded file into server resources.
 async function doImport() {
 
   // Ensure write access
   if (!await ensureWriteAccess()) return
 
   const fmtSel = $('#importFormat').value
-  const f = $('#importFile').files?.[0]
+  const f = importSourceFile()
   if (!f) { setStatus('Select a file', false); return }
-  const text = await f.text()
 
+  try {
+    await importFile(f, fmtSel, { csv: fmtSel === 'csv' ? csvImportOptions() : undefined, restoreMode: $('#importRestoreMode')?.value })
+  }
+  finally { $('#importFile').value = ''; state.importRemote = null }
+}
 
+// Parse a file (File or Blob with a name) and open the import preview; backups go to restore.
+async function importFile(f, fmtSel, { csv, restoreMode = 'merge' } = {}) {
   try {
-    let items = []
-    if (fmtSel === 'csv') items = parseCSV(text)
-    if (fmtSel === 'gpx') items = parseGPX(text)
-    if (fmtSel === 'kml') items = parseKML(text)
-    if (fmtSel === 'geojson') items = parseGeoJSON(text)
-
-    const creates = items.filter(x => x.kind === 'waypoint').map(it => {
-      // …
-      const item = {
-        id: genUuid(),
-        name: it.name || 'Waypoint',
-        description: it.description || '',
-        type: it.type || 'waypoint',
-        position: { latitude: it.latitude, longitude: it.longitude },
-        properties: it.properties || {}
-      }
-      console.log(item)
-      return buildWaypointPayload(item)
-    })
-    if (!creates.length) throw new Error('No importable waypoints found')
+    // KMZ is a zipped KML document; accept it under either format.
+    const buffer = (fmtSel === 'kml' || fmtSel === 'kmz') ? await f.arrayBuffer() : null
+    const text = buffer && isZip(buffer) ? await kmzToKml(buffer) : await f.text()
+
+    if (fmtSel === 'backup') return await restoreBackup(parseBackup(text), restoreMode)
 
-    const ctrl = beginProgress(`Importing ${creates.length} waypoint(s)...`, { indeterminate: false })
-    for (let i = 0; i < creates.length; i++) {
+    // OpenCPN layers are GPX files named after the layer; navobj.xml holds the regular objects.
+    const layer = fmtSel === 'opencpn' && !/^navobj\.xml/i.test(f.name) ? f.name.replace(/\.[^.]+$/, '') : ''
+    const items = parseItems(fmtSel, text, { csv, layer })
+
+    if (!items.some(it => KIND_TYPES[it?.kind])) throw new Error('No importable waypoints, routes, tracks or regions found')
+    await openImportPreview(items)
+  } catch (e) {
+    if (e.name === 'AbortError' || e.message === 'cancelled') setStatus('Import cancelled', false)
+    else setStatus(e.message || String(e), false)
+  }
+}
+
+// Import format for a file name in the Files tab, or null when it holds no importable resources.
+function importFormatForFile(name) {
+  const lower = (name || '').toLowerCase()
+  if (lower === 'navobj.xml') return 'opencpn'
+  const ext = lower.split('.').pop()
+  return { gpx: 'gpx', kml: 'kml', kmz: 'kmz', geojson: 'geojson', csv: 'csv', nmea: 'nmea' }[ext] || null
+}
+
+// Read a file from the selected root on the server and run it through the import preview.
+async function importRemoteFile(pathRel) {
+  if (!await ensureWriteAccess()) return
+  const name = pathRel.split('/').pop()
+  const fmtSel = importFormatForFile(name)
+  if (!fmtSel) { setStatus('Not an importable file', false); return }
+
+  const ctrl = beginProgress(`Reading ${name}…`)
+  let file = null
+  try {
+    // The download route has no preview size limit and keeps binary files (KMZ) intact.
+    const res = await fetch(`${API_BASE}/files/download${buildFileQuery(pathRel, activeFileRootId())}`, { signal: ctrl.signal })
+    if (!res.ok) throw new Error(`Read failed: ${res.status}`)
+    file = new File([await res.blob()], name)
+  } catch (e) {
+    if (ctrl.signal.aborted) setStatus('Import cancelled', false)
+    else setStatus(e.message || String(e), false)
+    return
+  } finally {
+    hideProgress()
+  }
+  // CSV files go through the column mapping step of the import dialog first.
+  if (fmtSel === 'csv') {
+    state.importRemote = file
+    $('#importFormat').value = 'csv'
+    $('#dlgImport').showModal()
+    await updateImportOptions()
+    return
+  }
+  await importFile(file, fmtSel)
+}
+
+// Existing resource an import item matches: same id, same name, or (waypoints) within radiusM meters.
+function findImportDuplicate(entry, existing, radiusM) {
+  const sameId = entry.item.id && existing[entry.type]?.[entry.item.id]
+  if (sameId) return { id: entry.item.id, name: normalizeResource(entry.type, entry.item.id, sameId).name, reason: 'same id' }
+  const name = (entry.item.name || '').trim().toLowerCase()
+  let best = null
+  for (const [id, obj] of Object.entries(existing[entry.type] || {})) {
+    const other = normalizeResource(entry.type, id, obj)
+    if (name && other.name.trim().toLowerCase() === name) return { id, name: other.name, reason: 'same name' }
+    if (entry.type !== 'waypoints' || !other.position || !radiusM) continue
+    const m = haversineNm(entry.item.latitude, entry.item.longitude, other.position.latitude, other.position.longitude) * 1852
+    if (m <= radiusM && (!best || m < best.m)) best = { id, name: other.name, m, reason: `${Math.round(m)} m away` }
+  }
+  return best
+}
+
+// Flag duplicates of existing resources and pick a default action per entry.
+// Re-run when the radius changes; actions the user picked stay unless that row's match changed.
+function classifyImportPlan() {
+  const plan = state.importPlan
+  if (!plan) return
+  const radiusM = Number($('#importDupRadius')?.value) || 0
+  for (const entry of plan.entries) {
+    const prev = entry.match
+    entry.match = entry.issues.length ? null : findImportDuplicate(entry, plan.existing, radiusM)
+    if (entry.action && (prev?.id ?? null) === (entry.match?.id ?? null)) continue
+    // Id matches are the same resource coming back (e.g. edited in a spreadsheet), so update them by default.
+    entry.action = entry.issues.length ? 'skip' : entry.match?.reason === 'same id' ? 'update' : entry.match ? 'skip' : 'create'
+  }
+}
+
+// Parse results become a plan (create / update / skip per item) shown before anything is written.
+async function openImportPreview(items) {
+  const ctrl = beginProgress('Checking for duplicates…')
+  try {
+    const existing = await fetchAllResources(ctrl.signal)
+    if (ctrl.signal.aborted) throw new Error('cancelled')
+    const entries = items
+      .filter(it => KIND_TYPES[it?.kind])
+      .map(it => ({ item: it, type: KIND_TYPES[it.kind], issues: importIssues(it) }))
+    state.importPlan = { entries, existing }
+    classifyImportPlan()
+  } finally {
+    hideProgress()
+  }
+  renderImportPreview()
+  $('#dlgImportPreview').showModal()
+}
+
+// Short position text for a preview row.
+function importItemWhere(it) {
+  if (it.kind === 'waypoint') return validLatLon(it.latitude, it.longitude) ? `${it.latitude.toFixed(5)}, ${it.longitude.toFixed(5)}` : '—'
+  if (it.kind === 'region') return `${(it.polygons || []).length} polygon(s)`
+  const n = (it.segments || [it.points || []]).reduce((sum, seg) => sum + seg.length, 0)
+  return `${n} point(s)`
+}
+
+// Render the preview table with one action select per item.
+function renderImportPreview() {
+  const plan = state.importPlan
+  const tbody = $('#importPreviewRows')
+  if (!plan || !tbody) return
+  tbody.innerHTML = ''
+  plan.entries.forEach((entry, i) => {
+    const tr = document.createElement('tr')
+    const cells = [entry.item.kind, entry.item.name || '—', importItemWhere(entry.item)]
+    for (const text of cells) {
+      const td = document.createElement('td')
+      td.textContent = text
+      tr.appendChild(td)
+    }
+    const note = document.createElement('td')
+    note.className = 'small'
+    if (entry.issues.length) note.textContent = `Invalid: ${entry.issues.join(', ')}`
+    else if (entry.match) note.textContent = `Duplicate of "${entry.match.name}" (${entry.match.reason})`
+    else { note.className = 'small muted'; note.textContent = 'New' }
+    tr.appendChild(note)
+    const td = document.createElement('td')
+    const sel = document.createElement('select')
+    const actions = entry.issues.length ? ['skip'] : entry.match ? ['update', 'skip', 'create'] : ['create', 'skip']
+    for (const a of actions) {
+      const o = document.createElement('option')
+      o.value = a
+      o.textContent = a === 'update' ? 'Update existing' : a === 'create' ? 'Create new' : 'Skip'
+      sel.appendChild(o)
+    }
+    sel.value = entry.action
+    sel.disabled = actions.length === 1
+    sel.addEventListener('change', () => { plan.entries[i].action = sel.value; updateImportPreviewSummary() })
+    td.appendChild(sel)
+    tr.appendChild(td)
+    tbody.appendChild(tr)
+  })
+  updateImportPreviewSummary()
+}
+
+// Counts of planned actions and flagged items.
+function updateImportPreviewSummary() {
+  const plan = state.importPlan
+  if (!plan) return
+  const count = (fn) => plan.entries.filter(fn).length
+  $('#importPreviewSummary').textContent = [
+    `${plan.entries.length} item(s)`,
+    `${count(e => e.issues.length)} invalid`,
+    `${count(e => e.match)} possible duplicate(s)`,
+    `will create ${count(e => e.action === 'create')}, update ${count(e => e.action === 'update')}, skip ${count(e => e.action === 'skip')}`
+  ].join(' • ')
+}
+
+// Set every flagged duplicate to the same action.
+function setImportDuplicateAction(action) {
+  for (const entry of state.importPlan?.entries || []) if (entry.match) entry.action = action
+  renderImportPreview()
+}
+
+// Write the previewed import plan.
+async function commitImport() {
+  const plan = state.importPlan
+  state.importPlan = null
+  if (!plan) return
+  if (!await ensureWriteAccess()) return
+
+  const writes = []
+  for (const entry of plan.entries) {
+    if (entry.action === 'skip') continue
+    const c = buildImportPayload(entry.item, { typeForSymbol: typeForImportSymbol })
+    if (!c) continue
+    if (entry.action === 'update' && entry.match) {
+      c.payload.id = entry.match.id
+      // Keep properties the file cannot carry (e.g. nested values dropped by CSV).
+      const prev = plan.existing[c.type]?.[entry.match.id]?.feature?.properties
+      if (prev && c.payload.feature) c.payload.feature.properties = { ...prev, ...c.payload.feature.properties }
+    }
+    // Creating a copy of a resource that is already on the server needs its own id.
+    if (entry.action === 'create' && (plan.existing[c.type]?.[c.payload.id] || writes.some(w => w.type === c.type && w.payload.id === c.payload.id))) c.payload.id = genUuid()
+    writes.push({ ...c, update: entry.action === 'update' })
+  }
+  if (!writes.length) { setStatus('Nothing to import', false); return }
+
+  // Per-kind totals and progress for the dialog summary.
+  const totals = {}
+  const done = {}
+  for (const c of writes) { totals[c.type] = (totals[c.type] || 0) + 1; done[c.type] = 0 }
+  const perKind = () => Object.keys(totals).map(t => `${t} ${done[t]}/${totals[t]}`).join(', ')
+
+  const ctrl = beginProgress(`Importing ${writes.length} item(s)… (${perKind()})`, { indeterminate: false })
+  try {
+    for (let i = 0; i < writes.length; i++) {
       if (ctrl.signal.aborted) throw new Error('cancelled')
-      const c = creates[i]
-      const res = await fetch(`${RES_ENDPOINT('waypoints')}/${encodeURIComponent(c.id)}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(c), signal: ctrl.signal })
-      if (!res.ok) throw new Error(`Create failed: ${res.status}`)
-      updateProgress(((i + 1) / creates.length) * 100, `Importing ${i + 1}/${creates.length}…`)
+      const c = writes[i]
+      const res = await fetch(`${RES_ENDPOINT(c.type)}/${encodeURIComponent(c.payload.id)}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(c.payload), signal: ctrl.signal })
+      if (!res.ok) throw new Error(`${c.update ? 'Update' : 'Create'} ${c.type.slice(0, -1)} failed: ${res.status}`)
+      done[c.type]++
+      updateProgress(((i + 1) / writes.length) * 100, `Importing ${i + 1}/${writes.length}… (${perKind()})`)
     }
     await refresh()
-    setStatus('Imported ✔', true)
+    const updated = writes.filter(c => c.update).length
+    const skipped = plan.entries.length - writes.length
+    setStatus(`Imported ${Object.keys(totals).map(t => `${totals[t]} ${t}`).join(', ')} (${updated} updated, ${skipped} skipped) ✔`, true)
   } catch (e) {
     if (e.name === 'AbortError' || e.message === 'cancelled') setStatus('Import cancelled', false)
     else setStatus(e.message || String(e), false)
   }
-  finally { $('#importFile').value = ''; hideProgress() }
+  finally { hideProgress() }
 }
 
 // Switch between tabs and rerender UI.
@@ -2741,6 +4043,7 @@ function setTab(tab) {
   closeDetail()
   document.querySelectorAll('.segmented__btn').forEach(b => b.classList.toggle('segmented__btn--active', b.dataset.tab === tab))
   if (tab === 'files' && !filesState.remoteEntries.length) remoteList(filesState.remotePath, activeFileRootId())
+  if (tab === 'tracks') fetchRecorderStatus()
   render()
 }
 
@@ -2778,6 +4081,25 @@ function updateWaypointMetrics() {
   }
 }
 
+// Update the nearest-leg distance and passage times of an open route detail.
+function updateRouteMetrics() {
+  const item = state.detail.item
+  const el = $('#detailRouteNearest')
+  if (!el || !item) return
+  el.textContent = formatNearestLeg(nearestLeg(item.points || []))
+  const legs = computeRouteLegs(item.points || [], state.legMode)
+  const plan = readPassagePlan(item)
+  const passage = computePassage(legs, plan)
+  fillPassageSummary(passage, plan)
+  document.querySelectorAll('#routeLegs tr[data-leg]').forEach((tr) => {
+    const p = passage?.legs[Number(tr.dataset.leg)]
+    const set = (cls, text) => { const td = tr.querySelector(cls); if (td) td.textContent = text }
+    set('.route-leg__time', formatDuration(p?.legSeconds))
+    set('.route-leg__eta', formatEta(p?.eta))
+    set('.route-leg__ttg', formatDuration(p?.ttgSeconds))
+  })
+}
+
 // Wire up DOM event handlers after load.
 function wire() {
   document.querySelectorAll('.segmented__btn').forEach(b => b.addEventListener('click', () => setTab(b.dataset.tab)))
@@ -2790,10 +4112,27 @@ function wire() {
   })
   $('#selectAll').addEventListener('change', (e) => setSelectAll(e.target.checked))
   $('#btnBulkDelete').addEventListener('click', bulkDelete)
-  $('#btnCreateHere').addEventListener('click', createAtVesselPosition)
-
-  $('#btnExport').addEventListener('click', () => $('#dlgExport').showModal())
-  $('#btnImport').addEventListener('click', () => $('#dlgImport').showModal())
+  $('#btnSendNmea')?.addEventListener('click', () => openSendNmea())
+  $('#doSendNmea')?.addEventListener('click', (e) => { e.preventDefault(); sendNmea(); $('#dlgSendNmea').close() })
+  $('#btnCreateHere').addEventListener('click', () => (state.tab === 'routes' ? createRoute() : createAtVesselPosition()))
+
+  $('#btnExport').addEventListener('click', () => { prepareExportDialog(); $('#dlgExport').showModal() })
+  $('#btnRecStart')?.addEventListener('click', () => recorderCommand('start'))
+  $('#btnRecPause')?.addEventListener('click', () => recorderCommand('pause'))
+  $('#btnRecStop')?.addEventListener('click', () => recorderCommand('stop'))
+  $('#btnCoursePrev')?.addEventListener('click', () => courseCommand('previous', 'Previous point'))
+  $('#btnCourseNext')?.addEventListener('click', () => courseCommand('next', 'Next point'))
+  $('#btnCourseClear')?.addEventListener('click', () => {
+    if (confirm('Clear the current destination?')) courseCommand('clear', 'Clear destination')
+  })
+  $('#btnImport').addEventListener('click', () => { state.importRemote = null; $('#dlgImport').showModal(); updateImportOptions() })
+  $('#importFormat')?.addEventListener('change', updateImportOptions)
+  $('#importFile')?.addEventListener('change', updateImportOptions)
+  $('#csvDelimiter')?.addEventListener('change', prepareCsvImport)
+  $('#csvDepthUnit')?.addEventListener('change', (e) => { e.target.dataset.touched = '1'; updateCsvPreview() })
+  $('#exportFormat')?.addEventListener('change', (e) => { setHidden($('#exportSelectedOnly').closest('label'), e.target.value === 'backup'); updateExportDestination() })
+  $('#exportDestination')?.addEventListener('change', updateExportDestination)
+  $('#exportFilename')?.addEventListener('input', updateExportDestination)
   // Files panel controls
   $('#btnRemoteUp')?.addEventListener('click', remoteUp)
   $('#btnRemoteMkdir')?.addEventListener('click', remoteMkdir)
@@ -2815,18 +4154,127 @@ function wire() {
 
   $('#doExport').addEventListener('click', (e) => { e.preventDefault(); doExport(); $('#dlgExport').close() })
   $('#doImport').addEventListener('click', (e) => { e.preventDefault(); doImport(); $('#dlgImport').close() })
+  $('#importDupRadius')?.addEventListener('change', () => { classifyImportPlan(); renderImportPreview() })
+  $('#importDupSkipAll')?.addEventListener('click', (e) => { e.preventDefault(); setImportDuplicateAction('skip') })
+  $('#importDupUpdateAll')?.addEventListener('click', (e) => { e.preventDefault(); setImportDuplicateAction('update') })
+  $('#doImportCommit')?.addEventListener('click', (e) => { e.preventDefault(); $('#dlgImportPreview').close(); commitImport() })
+  $('#dlgImportPreview')?.addEventListener('close', () => { state.importPlan = null })
   $('#doSave').addEventListener('click', (e) => { e.preventDefault(); saveWaypoint(); $('#dlgEdit').close() })
   window.addEventListener('resize', () => render())
 }
 
+// Blank course state (no active destination).
+function emptyCourse() {
+  return {
+    distance: null,
+    bearingTrue: null,
+    crossTrackError: null,
+    vmg: null,
+    timeToGo: null,
+    eta: null,
+    nextPoint: { position: null, href: null, name: null },
+    activeRoute: null
+  }
+}
+
+// Course paths (after the navigation.course* prefix) mapped to state.course keys.
+// v2 servers publish calcValues.*; older course providers publish nextPoint.*.
+const COURSE_KEYS = {
+  'calcValues.distance': 'distance',
+  'nextPoint.distance': 'distance',
+  'calcValues.bearingTrue': 'bearingTrue',
+  'nextPoint.bearingTrue': 'bearingTrue',
+  'calcValues.crossTrackError': 'crossTrackError',
+  'crossTrackError': 'crossTrackError',
+  'calcValues.velocityMadeGood': 'vmg',
+  'nextPoint.velocityMadeGood': 'vmg',
+  'calcValues.timeToGo': 'timeToGo',
+  'nextPoint.timeToGo': 'timeToGo',
+  'calcValues.estimatedTimeOfArrival': 'eta',
+  'nextPoint.estimatedTimeOfArrival': 'eta'
+}
+
+// Prefix shared by v2 (navigation.course) and v1 (courseRhumbline/courseGreatCircle) course paths.
+const COURSE_PATH = /^navigation\.course(Rhumbline|GreatCircle)?\./
+
+// Merge one navigation.course* delta value into state.course.
+function applyCourseValue(path, value) {
+  const key = path.replace(COURSE_PATH, '')
+  const c = state.course
+  if (COURSE_KEYS[key]) { c[COURSE_KEYS[key]] = value; return }
+  if (key === 'nextPoint') {
+    // A null next point means the destination was cleared.
+    if (!value) { state.course = emptyCourse(); return }
+    c.nextPoint = { ...c.nextPoint, position: value.position || null, href: value.href || null, name: value.name || c.nextPoint.name }
+    return
+  }
+  if (key === 'nextPoint.position') c.nextPoint.position = value
+  else if (key === 'nextPoint.href') c.nextPoint.href = value
+  else if (key === 'nextPoint.name') c.nextPoint.name = value
+  else if (key === 'activeRoute') c.activeRoute = value
+  else if (key === 'activeRoute.href') c.activeRoute = value ? { ...(c.activeRoute || {}), href: value } : null
+}
+
+// Identify the waypoint currently set as destination (by href, else by position).
+function activeDestinationId() {
+  const np = state.course.nextPoint
+  const byHref = waypointIdFromHref(np.href)
+  if (byHref && state.resources.waypoints?.[byHref]) return byHref
+  const pos = np.position
+  if (pos?.latitude == null || pos?.longitude == null) return null
+  for (const [id, obj] of Object.entries(state.resources.waypoints || {})) {
+    const p = normalizeResource('waypoints', id, obj).position
+    if (p && Math.abs(p.latitude - pos.latitude) < 1e-6 && Math.abs(p.longitude - pos.longitude) < 1e-6) return id
+  }
+  return null
+}
+
+// Render the persistent course panel and highlight the destination row.
+function renderCoursePanel() {
+  const panel = $('#coursePanel')
+  if (!panel) return
+  const c = state.course
+  const active = !!(c.nextPoint.position || c.distance != null)
+  setHidden(panel, !active)
+  const activeId = active ? activeDestinationId() : null
+  for (const [key, refs] of state.rows.entries()) {
+    refs.row.classList.toggle('row--active', key === `waypoints:${activeId}`)
+  }
+  if (!active) return
+
+  const set = (id, text) => { const el = $(`#${id}`); if (el) el.textContent = text }
+  const unit = distanceUnitLabel(state.config.distanceUnit)
+  const routeId = /\/resources\/routes\/([^/]+)$/.exec(c.activeRoute?.href || '')?.[1]
+  const routeName = c.activeRoute?.name || (routeId && state.resources.routes?.[decodeURIComponent(routeId)]?.name) || ''
+  const ll = c.nextPoint.position ? formatLatLon(c.nextPoint.position.latitude, c.nextPoint.position.longitude) : null
+  set('courseDest', c.nextPoint.name || (activeId && state.resources.waypoints?.[activeId]?.name) || (ll ? `${ll.lat} ${ll.lon}` : '—'))
+  const routeText = c.activeRoute
+      ? `Route ${routeName || ''}${c.activeRoute.pointIndex != null ? ` • point ${c.activeRoute.pointIndex + 1}${c.activeRoute.pointTotal ? `/${c.activeRoute.pointTotal}` : ''}` : ''}`
+      : ''
+  set('courseRoute', routeText)
+  set('courseDtwLabel', `DTW (${unit})`)
+  set('courseXteLabel', `XTE (${unit})`)
+  set('courseDtw', c.distance == null ? '—' : formatDistance(c.distance / 1852))
+  set('courseBtw', c.bearingTrue == null ? '—' : formatBearing((c.bearingTrue * 180 / Math.PI + 360) % 360))
+  // Keep the sign: negative XTE means the vessel is left of track.
+  set('courseXte', c.crossTrackError == null ? '—' : `${c.crossTrackError < 0 ? 'L ' : 'R '}${formatDistance(Math.abs(c.crossTrackError) / 1852)}`)
+  set('courseVmg', c.vmg == null ? '—' : fmt(c.vmg / MS_PER_KNOT, 1))
+  set('courseTtg', formatDuration(c.timeToGo))
+  set('courseEta', c.eta ? formatEta(new Date(c.eta)) : '—')
+}
+
 // Update metrics from websocket feed without rebuilding rows.
 function handleLiveUpdate(data) {
   for (const up of (data.updates || [])) {
     for (const v of (up.values || [])) {
       if (v.path === 'navigation.position' && v.value?.latitude != null) state.vesselPos = v.value
+      if (v.path === 'navigation.speedOverGround' && typeof v.value === 'number') state.vesselSog = v.value
+      if (COURSE_PATH.test(v.path || '')) applyCourseValue(v.path, v.value)
     }
   }
+  renderCoursePanel()
   if (state.tab === 'waypoints') updateWaypointMetrics()
+  if (state.detail.item?.type === 'routes') updateRouteMetrics()
 }
 
 // Periodically verify websocket health.
@@ -2848,7 +4296,13 @@ function connectWS(isRetry=false) {
   monitorWS()
   ws.onopen = () => {
     setStatus('Live connected', true)
-    ws.send(JSON.stringify({ context:'vessels.self', subscribe:[{ path:'navigation.position', period:1000 }] }))
+    ws.send(JSON.stringify({ context:'vessels.self', subscribe:[
+      { path:'navigation.position', period:1000 },
+      { path:'navigation.speedOverGround', period:1000 },
+      { path:'navigation.course.*', period:1000 },
+      { path:'navigation.courseRhumbline.*', period:1000 },
+      { path:'navigation.courseGreatCircle.*', period:1000 }
+    ] }))
   }
   ws.onmessage = (ev) => {
     try {
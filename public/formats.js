@@ -23,6 +23,66 @@ export function bearingDeg(lat1, lon1, lat2, lon2) {
   const x = Math.cos(φ1)*Math.sin(φ2) - Math.sin(φ1)*Math.cos(φ2)*Math.cos(Δλ) // Bearing denominator.
   return (toDeg(Math.atan2(y, x)) + 360) % 360 // Normalized 0-359 bearing.
 }
+// Compute rhumb-line (constant bearing) distance in nautical miles.
+export function rhumbNm(lat1, lon1, lat2, lon2) {
+  const Rm = 6371000 // Earth radius in meters.
+  const toRad = (d) => d * Math.PI / 180 // Degrees-to-radians helper.
+  const φ1 = toRad(lat1), φ2 = toRad(lat2) // Latitudes in radians.
+  const Δφ = φ2 - φ1 // Latitude delta.
+  let Δλ = toRad(Math.abs(lon2 - lon1)) // Absolute longitude delta.
+  if (Δλ > Math.PI) Δλ = 2 * Math.PI - Δλ // Take the shorter way across the antimeridian.
+  const Δψ = Math.log(Math.tan(Math.PI/4 + φ2/2) / Math.tan(Math.PI/4 + φ1/2)) // Projected latitude delta.
+  const q = Math.abs(Δψ) > 1e-12 ? Δφ / Δψ : Math.cos(φ1) // East-west legs fall back to cos(lat).
+  return (Rm * Math.sqrt(Δφ*Δφ + q*q*Δλ*Δλ)) / 1852 // Convert meters to nautical miles.
+}
+// Calculate the constant rhumb-line bearing from point A to B in degrees.
+export function rhumbBearingDeg(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => d * Math.PI / 180 // Degrees-to-radians helper.
+  const toDeg = (r) => r * 180 / Math.PI // Radians-to-degrees helper.
+  const φ1 = toRad(lat1), φ2 = toRad(lat2) // Latitudes in radians.
+  let Δλ = toRad(lon2 - lon1) // Longitude delta.
+  if (Math.abs(Δλ) > Math.PI) Δλ = Δλ > 0 ? -(2*Math.PI - Δλ) : (2*Math.PI + Δλ) // Shorter way across the antimeridian.
+  const Δψ = Math.log(Math.tan(Math.PI/4 + φ2/2) / Math.tan(Math.PI/4 + φ1/2)) // Projected latitude delta.
+  return (toDeg(Math.atan2(Δλ, Δψ)) + 360) % 360 // Normalized 0-359 bearing.
+}
+// Distance in nautical miles from a point to the great-circle segment A→B (clamped to its ends).
+export function distanceToSegmentNm(lat, lon, lat1, lon1, lat2, lon2) {
+  const Rnm = 6371000 / 1852 // Earth radius in nautical miles.
+  const toRad = (d) => d * Math.PI / 180 // Degrees-to-radians helper.
+  const d13 = haversineNm(lat1, lon1, lat, lon) / Rnm // Angular distance A→P.
+  const d12 = haversineNm(lat1, lon1, lat2, lon2) / Rnm // Angular length of the segment.
+  if (d12 === 0) return d13 * Rnm // Degenerate segment.
+  const Δθ = toRad(bearingDeg(lat1, lon1, lat, lon) - bearingDeg(lat1, lon1, lat2, lon2)) // Angle between A→P and A→B.
+  if (Math.cos(Δθ) < 0) return d13 * Rnm // Point lies behind A.
+  const dxt = Math.asin(Math.sin(d13) * Math.sin(Δθ)) // Cross-track angular distance.
+  const dat = Math.acos(Math.min(1, Math.cos(d13) / Math.cos(dxt))) // Along-track angular distance.
+  if (dat > d12) return haversineNm(lat2, lon2, lat, lon) // Point lies beyond B.
+  return Math.abs(dxt) * Rnm // Perpendicular distance to the leg.
+}
+// Simplify a polyline with Douglas-Peucker; tolerance is the max deviation in meters.
+// Points are {latitude, longitude,...}; the first and last points are always kept.
+export function simplifyPoints(points, toleranceMeters) {
+  if (!Array.isArray(points) || points.length <= 2 || !(toleranceMeters > 0)) return [...(points || [])] // Nothing to simplify.
+  const tolNm = toleranceMeters / 1852 // Tolerance in nautical miles.
+  const keep = new Uint8Array(points.length) // Flags for retained points.
+  keep[0] = keep[points.length - 1] = 1
+  const stack = [[0, points.length - 1]] // Ranges still to inspect (iterative to avoid deep recursion).
+  while (stack.length) {
+    const [first, last] = stack.pop()
+    const a = points[first], b = points[last] // Range end points.
+    let maxD = -1, idx = -1 // Farthest point from the chord.
+    for (let i = first + 1; i < last; i++) {
+      const p = points[i]
+      const d = distanceToSegmentNm(p.latitude, p.longitude, a.latitude, a.longitude, b.latitude, b.longitude)
+      if (d > maxD) { maxD = d; idx = i }
+    }
+    if (idx > 0 && maxD > tolNm) { // Split at the farthest point and keep it.
+      keep[idx] = 1
+      stack.push([first, idx], [idx, last])
+    }
+  }
+  return points.filter((_, i) => keep[i]) // Retained points in original order.
+}
 // Trigger a client-side download for the provided text content.
 export function downloadText(filename, text) {
   const blob = new Blob([text], { type: 'application/octet-stream' }) // Wrap text in a Blob.
@@ -36,34 +96,159 @@ export function downloadText(filename, text) {
 }
 // Serialize an array of objects into CSV text.
 export function toCSV(rows) {
-  const cols = Object.keys(rows[0] || {name:'',latitude:'',longitude:'',description:'',icon:''}) // Column order.
+  const cols = [...new Set(rows.flatMap(r => Object.keys(r).filter(k => r[k] == null || typeof r[k] !== 'object')))] // Column order: union of scalar row keys (objects do not fit a cell).
+  if (!cols.length) cols.push('name', 'latitude', 'longitude', 'description', 'icon') // Header for an empty export.
   const esc = (v) => {
-    const s = (v ?? '').toString() // Normalize undefined/null to string.
+    const s = (v != null && typeof v === 'object' ? '' : v ?? '').toString() // Normalize undefined/null (and stray objects) to string.
     if (/[,"\n]/.test(s)) return `"${s.replace(/"/g,'""')}"` // Escape quotes and wrap when needed.
     return s // Return as-is for simple values.
   }
   return [cols.join(','), ...rows.map(r => cols.map(c => esc(r[c])).join(','))].join('\n') // Compose CSV lines.
 }
-// Parse a CSV file into waypoint objects.
-export function parseCSV(text) {
-  const lines = text.replace(/\r/g,'').split('\n').filter(l => l.trim().length) // Normalize newlines and drop blanks.
-  if (!lines.length) return [] // Empty input yields no items.
-  const header = parseCSVLine(lines[0]) // Extract header columns.
+// Column delimiters recognised by the CSV importer.
+export const CSV_DELIMITERS = [',', ';', '\t', '|']
+// Guess the delimiter from the first lines: the candidate splitting them into the most, equally sized columns.
+export function detectDelimiter(text) {
+  const lines = splitCSVRecords(text).slice(0, 10) // Sample a few records.
+  if (!lines.length) return ','
+  let best = ',', bestScore = 0
+  for (const d of CSV_DELIMITERS) {
+    const counts = lines.map(l => parseCSVLine(l, d).length)
+    if (counts[0] < 2) continue // Header must split.
+    const consistent = counts.filter(c => c === counts[0]).length // Rows matching the header width.
+    const score = consistent * counts[0]
+    if (score > bestScore) { best = d; bestScore = score }
+  }
+  return best // Fall back to comma.
+}
+// Header and data rows of a delimited text file.
+export function parseCSVTable(text, { delimiter } = {}) {
+  const d = delimiter || detectDelimiter(text) // Auto-detect when not given.
+  const records = splitCSVRecords(text) // Records, quoted newlines kept.
+  if (!records.length) return { delimiter: d, header: [], rows: [] }
+  return { delimiter: d, header: parseCSVLine(records[0], d), rows: records.slice(1).map(r => parseCSVLine(r, d)) }
+}
+// Default column for each importer field, guessed from header names.
+export function guessCSVMapping(header) {
+  const norm = header.map(h => h.toLowerCase().replace(/[^a-z]/g, '')) // Compare letters only.
+  const find = (...names) => { const i = norm.findIndex(h => names.includes(h)); return i < 0 ? '' : header[i] }
+  const depthIdx = norm.findIndex(h => h.startsWith('depth') || h === 'sounding') // "Depth (ft)", depth_m ...
+  return {
+    id: find('id', 'uuid', 'guid'),
+    name: find('name', 'title', 'label', 'waypoint', 'wpt', 'ident'),
+    description: find('description', 'desc', 'notes', 'note', 'comment', 'remarks'),
+    latitude: find('latitude', 'lat', 'y'),
+    longitude: find('longitude', 'lon', 'lng', 'long', 'x'),
+    position: find('position', 'coordinates', 'coords', 'location', 'latlon'),
+    icon: find('icon', 'sym', 'symbol', 'type'),
+    depth: depthIdx < 0 ? '' : header[depthIdx]
+  }
+}
+// Depth unit implied by a header such as "Depth (ft)" or "depth_fathoms", or null.
+export function depthUnitFromHeader(h) {
+  const s = (h || '').toLowerCase()
+  if (/\b(ft|feet|foot)\b|_ft\b|\(ft\)/.test(s)) return 'ft'
+  if (/fathom|\bfm\b|_fm\b/.test(s)) return 'fathom'
+  if (/\b(m|meters?|metres?)\b|_m\b|\(m\)/.test(s)) return 'm'
+  return null
+}
+const DEPTH_TO_M = { m: 1, ft: 0.3048, fathom: 1.8288 } // Depth unit factors.
+
+// Parse one coordinate: decimal degrees, DM ("43°12.345'N", "N 43 12.345") or DMS ("43°12'20.7\"N", "43 12 20.7 N").
+// Hemisphere letters (N/S/E/W) or a leading minus give the sign; a decimal comma is accepted.
+export function parseCoordinate(value, isLat) {
+  let s = (value ?? '').toString().trim().toUpperCase()
+  if (!s) return NaN
+  const hemi = (s.match(/[NSEW]/) || [])[0] // Hemisphere letter, anywhere.
+  if (hemi && (isLat !== undefined) && (isLat ? 'EW' : 'NS').includes(hemi)) return NaN // Wrong axis.
+  s = s.replace(/[NSEW]/g, ' ').replace(/(\d),(\d)/g, '$1.$2') // Drop letters, decimal comma to dot.
+  const nums = s.match(/-?\d+(?:\.\d+)?/g) || [] // Degree, minute, second parts.
+  if (!nums.length || nums.length > 3) return NaN
+  const [d, m = 0, sec = 0] = nums.map(Number)
+  if (nums.length > 1 && (m >= 60 || sec >= 60)) return NaN // Not minutes/seconds.
+  const neg = d < 0 || /^\s*-/.test(s) || hemi === 'S' || hemi === 'W'
+  const out = (Math.abs(d) + m / 60 + sec / 3600) * (neg ? -1 : 1)
+  if (Math.abs(out) > (isLat === false ? 180 : isLat ? 90 : 180)) return NaN
+  return Math.round(out * 1e7) / 1e7 // Drop floating point noise.
+}
+// Split a "lat lon" position cell ("43°12.3'N 010°05.2'E", "43.2, 10.08") into two coordinates.
+function parsePosition(value) {
+  const s = (value ?? '').toString().trim()
+  const hemis = [...s.toUpperCase().matchAll(/[NS]/g)] // Split after the latitude hemisphere when present.
+  let parts
+  if (hemis.length === 1 && /[EW]/i.test(s)) {
+    const i = hemis[0].index
+    parts = /^\s*[NS]/i.test(s) ? [s.slice(0, s.search(/[EW]/i)), s.slice(s.search(/[EW]/i))] : [s.slice(0, i + 1), s.slice(i + 1)]
+  } else {
+    parts = s.split(/\s*[;,/]\s*|\s+(?=-?\d+(?:\.\d+)?\s*$)/) // "lat, lon" or "lat lon".
+  }
+  if (parts.length !== 2) return [NaN, NaN]
+  return [parseCoordinate(parts[0], true), parseCoordinate(parts[1], false)]
+}
+// Parse a CSV file into waypoint objects, or routes/tracks from per-point rows.
+// Options: delimiter (auto-detected), mapping (field -> column, guessed from the header) and depthUnit
+// (for depth columns whose header carries no unit). Unmapped columns go into properties.
+export function parseCSV(text, { delimiter, mapping, depthUnit = 'm' } = {}) {
+  const { header, rows } = parseCSVTable(text, { delimiter }) // Header and data rows.
+  if (!header.length) return [] // Empty input yields no items.
+  const map = { ...guessCSVMapping(header), ...(mapping || {}) } // Explicit mapping wins.
+  const depthFactor = DEPTH_TO_M[depthUnitFromHeader(map.depth) || depthUnit] || 1 // Depth to meters.
+  const pointRowCols = ['kind', 'segment', 'point', 'point_name', 'time'] // Written by toPointRows().
+  const mapped = new Set(Object.values(map).filter(Boolean))
   const items = [] // Output accumulator.
-  for (let i=1;i<lines.length;i++){ // Iterate data lines.
-    const row = parseCSVLine(lines[i]) // Parse each CSV line.
+  for (const row of rows) { // Iterate data lines.
+    if (!row.some(c => c !== '')) continue // Skip blank records.
     const obj = {} // Temporary row object.
     header.forEach((h, idx) => obj[h] = row[idx] ?? '') // Map fields by header name.
-    const lat = parseFloat(obj.latitude ?? obj.lat) // Latitude column variant.
-    const lon = parseFloat(obj.longitude ?? obj.lon) // Longitude column variant.
-    if (!Number.isNaN(lat) && !Number.isNaN(lon)) {
-      items.push({ kind:'waypoint', name: obj.name||'Waypoint', description: obj.description||'', latitude:lat, longitude:lon, icon: obj.icon||'' }) // Build waypoint record.
+    let lat = map.latitude ? parseCoordinate(obj[map.latitude], true) : NaN // Separate latitude column.
+    let lon = map.longitude ? parseCoordinate(obj[map.longitude], false) : NaN // Separate longitude column.
+    if ((Number.isNaN(lat) || Number.isNaN(lon)) && map.position) [lat, lon] = parsePosition(obj[map.position]) // Combined position column.
+    if (Number.isNaN(lat) || Number.isNaN(lon)) continue // Skip rows without coordinates.
+    const name = map.name ? obj[map.name] : ''
+    const id = (map.id && obj[map.id]) || '' // Resource id, for updating on re-import.
+    const kind = (obj.kind || '').toLowerCase() // Point rows written by toPointRows().
+    if (kind === 'route' || kind === 'track') {
+      const si = parseInt(obj.segment, 10) || 0 // Segment index (tracks).
+      const first = si === 0 && obj.point !== undefined && (parseInt(obj.point, 10) || 0) === 0 // Point 0 of segment 0 starts a new item.
+      const prev = items[items.length - 1] // Consecutive rows with the same kind/name form one item.
+      const line = prev && prev.kind === kind && prev._key === name && !first ? prev : null
+      const item = line || { kind, _key: name, name: name || (kind === 'route' ? 'Route' : 'Track'), description: '', segments: [], ...(id ? { id } : {}) }
+      if (!line) items.push(item)
+      while (item.segments.length <= si) item.segments.push([])
+      item.segments[si].push({ latitude:lat, longitude:lon, ...(obj.point_name ? { name: obj.point_name } : {}), ...(obj.time ? { time: obj.time } : {}) })
+    } else {
+      const properties = {} // Extra columns, kept as text (phone numbers, postcodes ...).
+      for (const h of header) {
+        if (mapped.has(h) || pointRowCols.includes(h) || obj[h] === '') continue
+        properties[h] = obj[h]
+      }
+      const depth = map.depth ? parseFloat((obj[map.depth] || '').replace(',', '.')) : NaN
+      if (!Number.isNaN(depth)) properties.depth = Math.round(depth * depthFactor * 100) / 100 // Meters.
+      items.push({ kind:'waypoint', ...(id ? { id } : {}), name: name || 'Waypoint', description: (map.description && obj[map.description]) || '', latitude:lat, longitude:lon, icon: (map.icon && obj[map.icon]) || '', properties }) // Build waypoint record.
     }
   }
-  return items // Return parsed waypoints.
+  for (const it of items) {
+    if (it.kind === 'waypoint') continue
+    delete it._key // Drop grouping key.
+    it.segments = it.segments.filter(seg => seg.length) // Drop gaps in segment numbering.
+    it.points = it.segments.flat() // Flat point list, as for other formats.
+    if (it.kind === 'route') delete it.segments // Routes are single lines.
+  }
+  return items // Return parsed waypoints, routes and tracks.
+}
+// Split CSV text into records, keeping newlines inside quoted fields.
+function splitCSVRecords(text) {
+  const out = []; let cur = '', inQ = false // Records, current buffer, quote flag.
+  for (const ch of text.replace(/\r\n?/g, '\n')) {
+    if (ch === '"') inQ = !inQ // Doubled quotes toggle twice.
+    if (ch === '\n' && !inQ) { if (cur.trim()) out.push(cur); cur = ''; continue } // Record boundary.
+    cur += ch
+  }
+  if (cur.trim()) out.push(cur) // Final record.
+  return out
 }
 // Parse a single CSV row supporting quoted fields.
-function parseCSVLine(line){
+function parseCSVLine(line, delimiter = ','){
   const out=[]; let cur='', inQ=false // Output array, current field buffer, quote flag.
   for (let i=0;i<line.length;i++){
     const ch=line[i] // Current character.
@@ -73,98 +258,726 @@ function parseCSVLine(line){
       cur+=ch // Regular character inside quotes.
     } else {
       if (ch === '"'){ inQ=true; continue } // Opening quote.
-      if (ch === ','){ out.push(cur); cur=''; continue } // Field separator.
+      if (ch === delimiter){ out.push(cur); cur=''; continue } // Field separator.
       cur+=ch // Regular character.
     }
   }
   out.push(cur) // Push final field.
   return out.map(s => s.trim()) // Trim whitespace around fields.
 }
+// XML parser: the browser's DOMParser, or one supplied with setXmlParser() (e.g. @xmldom/xmldom under Node).
+let XmlParser = globalThis.DOMParser
+export function setXmlParser(Parser) {
+  XmlParser = Parser
+}
+// Parse XML text into a document.
+function parseXml(text) {
+  if (!XmlParser) throw new Error('No XML parser available')
+  return new XmlParser().parseFromString(text, 'application/xml')
+}
+// All descendant elements (querySelectorAll is missing from some server-side DOMs).
+function xmlDescendants(el) {
+  return [...(el.querySelectorAll ? el.querySelectorAll('*') : el.getElementsByTagName('*'))]
+}
+// Element name without namespace prefix.
+function xmlLocalName(n) {
+  return (n.localName || n.nodeName || '').split(':').pop()
+}
+// Direct child elements of a node matching a local name (ignores namespace prefixes).
+function xmlChildren(el, name) {
+  return [...(el?.childNodes || [])].filter(n => n.nodeType === 1 && xmlLocalName(n) === name)
+}
+// Trimmed text of the first direct child with the given local name.
+function xmlChildText(el, name) {
+  return xmlChildren(el, name)[0]?.textContent?.trim() || ''
+}
+// Convert an XML element into a plain object (attributes as @name, repeated children as arrays).
+function xmlToObject(el) {
+  const kids = [...el.childNodes].filter(n => n.nodeType === 1) // Element children only.
+  const attrs = [...(el.attributes || [])].filter(a => !a.name.startsWith('xmlns')) // Skip namespace declarations.
+  if (!kids.length && !attrs.length) return el.textContent.trim() // Leaf element.
+  const out = {} // Object accumulator.
+  for (const a of attrs) out[`@${a.name}`] = a.value
+  for (const k of kids) {
+    const v = xmlToObject(k)
+    if (k.nodeName in out) out[k.nodeName] = [].concat(out[k.nodeName], [v]) // Repeated element.
+    else out[k.nodeName] = v
+  }
+  if (!kids.length && el.textContent.trim()) out['#text'] = el.textContent.trim() // Text next to attributes.
+  return out
+}
+// Map GPX <extensions> into structured properties plus the raw extension tree.
+// OpenCPN arrival radius is in nautical miles and Garmin proximity in meters; both become arrivalRadius in meters.
+function gpxExtensionProps(el) {
+  const ext = xmlChildren(el, 'extensions')[0]
+  if (!ext) return {}
+  const props = { extensions: xmlToObject(ext) } // Keep everything, mapped or not.
+  const find = (name) => xmlDescendants(ext).find(n => xmlLocalName(n) === name)
+  const num = (v) => { const n = parseFloat(v); return Number.isNaN(n) ? undefined : n }
+  const text = (name) => find(name)?.textContent?.trim() || undefined
+
+  const guid = text('guid') // OpenCPN object id.
+  if (guid) props.guid = guid
+  const radiusNm = num(text('arrival_radius')) // OpenCPN.
+  const proximity = num(text('Proximity')) // Garmin gpxx.
+  if (radiusNm !== undefined) props.arrivalRadius = Math.round(radiusNm * 18520) / 10
+  else if (proximity !== undefined) props.arrivalRadius = proximity
+  const viz = text('viz') // OpenCPN visibility flag.
+  if (viz !== undefined) props.visible = viz !== '0'
+  const vizName = text('viz_name') // OpenCPN "show name" flag.
+  if (vizName !== undefined) props.showName = vizName !== '0'
+  const colour = text('DisplayColor') || find('style')?.getAttribute('color') || undefined // Garmin colour name or OpenCPN style colour.
+  if (colour) props.colour = colour
+  const depth = num(text('Depth')) // Garmin gpxx, meters.
+  if (depth !== undefined) props.depth = depth
+  const temperature = num(text('Temperature')) // Garmin gpxx, Celsius.
+  if (temperature !== undefined) props.temperature = temperature
+  const categories = xmlDescendants(ext).filter(n => xmlLocalName(n) === 'Category').map(n => n.textContent.trim()).filter(Boolean)
+  if (categories.length) props.categories = categories
+  const address = find('Address') // Garmin gpxx:Address.
+  if (address) {
+    const street = xmlDescendants(address).filter(n => xmlLocalName(n) === 'StreetAddress').map(n => n.textContent.trim())
+    props.address = {
+      ...(street.length ? { street: street.join(', ') } : {}),
+      ...Object.fromEntries([['city', 'City'], ['state', 'State'], ['country', 'Country'], ['postalCode', 'PostalCode']]
+        .map(([key, tag]) => [key, xmlChildText(address, tag)]).filter(([, v]) => v))
+    }
+  }
+  const phone = text('PhoneNumber') // Garmin gpxx.
+  if (phone) props.contact = { phone }
+  return props
+}
+// Common GPX point fields (wpt/rtept/trkpt) other than lat/lon.
+function gpxPointMeta(el) {
+  const meta = {} // Only present fields.
+  const ele = parseFloat(xmlChildText(el, 'ele'))
+  if (!Number.isNaN(ele)) meta.ele = ele
+  for (const tag of ['time', 'sym', 'cmt', 'type']) {
+    const v = xmlChildText(el, tag)
+    if (v) meta[tag] = v
+  }
+  const link = xmlChildren(el, 'link')[0]?.getAttribute('href')
+  if (link) meta.link = link
+  return meta
+}
+// The OpenCPN guid extension doubles as the resource id (toGPX() writes it back).
+// Once it is the id it is dropped from properties, so it isn't stored twice; other guids stay.
+function gpxId(props) {
+  if (!isResourceId(props.guid)) return {}
+  const id = props.guid
+  delete props.guid
+  const ext = props.extensions
+  for (const key of Object.keys(ext || {})) if (key.replace(/^.*:/, '') === 'guid') delete ext[key]
+  if (ext && !Object.keys(ext).length) delete props.extensions
+  return { id }
+}
 // Parse GPX XML into waypoint/route/track records.
+// Elevation, time, symbol and extensions are kept in properties; track point times stay on the points.
 export function parseGPX(xmlText) {
-  const doc = new DOMParser().parseFromString(xmlText, 'application/xml') // Build DOM document.
+  const doc = parseXml(xmlText) // Build DOM document.
   const items = [] // Aggregate result.
-  for (const w of [...doc.querySelectorAll('wpt')]) { // Waypoints.
-    const lat = parseFloat(w.getAttribute('lat')) // Latitude attribute.
-    const lon = parseFloat(w.getAttribute('lon')) // Longitude attribute.
-    if (Number.isNaN(lat) || Number.isNaN(lon)) continue // Skip invalid entries.
-    items.push({ kind:'waypoint', name: w.querySelector('name')?.textContent?.trim() || 'Waypoint', description: w.querySelector('desc')?.textContent?.trim() || '', latitude:lat, longitude:lon, icon: w.querySelector('sym')?.textContent?.trim() || '' }) // Push waypoint.
-  }
-  for (const r of [...doc.querySelectorAll('rte')]) { // Routes.
-    const name = r.querySelector('name')?.textContent?.trim() || 'Route' // Route name.
-    const desc = r.querySelector('desc')?.textContent?.trim() || '' // Route description.
-    const pts = [...r.querySelectorAll('rtept')].map(p => ({ latitude: parseFloat(p.getAttribute('lat')), longitude: parseFloat(p.getAttribute('lon')) }))
-        .filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude)) // Validate coordinates.
-    if (pts.length) items.push({ kind:'route', name, description:desc, points: pts }) // Push route when points exist.
-  }
-  for (const t of [...doc.querySelectorAll('trk')]) { // Tracks.
-    const name = t.querySelector('name')?.textContent?.trim() || 'Track' // Track name.
-    const desc = t.querySelector('desc')?.textContent?.trim() || '' // Track description.
-    const pts = [...t.querySelectorAll('trkpt')].map(p => ({ latitude: parseFloat(p.getAttribute('lat')), longitude: parseFloat(p.getAttribute('lon')) }))
-        .filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude)) // Validate points.
-    if (pts.length) items.push({ kind:'track', name, description:desc, points: pts }) // Push track with points.
+  const toPoint = (el) => ({ latitude: parseFloat(el.getAttribute('lat')), longitude: parseFloat(el.getAttribute('lon')) }) // Coordinates of a point element.
+  const valid = (p) => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude) // Coordinate validation.
+  for (const w of [...doc.getElementsByTagName('wpt')]) { // Waypoints.
+    const pt = toPoint(w)
+    if (!valid(pt)) continue // Skip invalid entries.
+    const { type: gpxType, ...meta } = gpxPointMeta(w) // GPX <type> is free text, unlike the Signal K waypoint type.
+    const properties = { ...meta, ...(gpxType ? { gpxType } : {}), ...gpxExtensionProps(w) }
+    items.push({ kind:'waypoint', ...gpxId(properties), name: xmlChildText(w, 'name') || 'Waypoint', description: xmlChildText(w, 'desc'), ...pt, icon: meta.sym || '', properties }) // Push waypoint.
+  }
+  for (const r of [...doc.getElementsByTagName('rte')]) { // Routes.
+    const name = xmlChildText(r, 'name') || 'Route' // Route name.
+    const desc = xmlChildText(r, 'desc') // Route description.
+    const pts = xmlChildren(r, 'rtept').map(el => {
+      const p = toPoint(el)
+      const pname = xmlChildText(el, 'name')
+      if (pname) p.name = pname
+      const pdesc = xmlChildText(el, 'desc')
+      const meta = { ...gpxPointMeta(el), ...(pdesc ? { description: pdesc } : {}), ...gpxExtensionProps(el) }
+      if (Object.keys(meta).length) p.meta = meta // Per-point metadata, written to coordinatesMeta.
+      return p
+    }).filter(valid) // Validate coordinates.
+    const properties = { ...gpxPointMeta(r), ...gpxExtensionProps(r) }
+    if (pts.length) items.push({ kind:'route', ...gpxId(properties), name, description:desc, points: pts, properties }) // Push route when points exist.
+  }
+  for (const t of [...doc.getElementsByTagName('trk')]) { // Tracks.
+    const name = xmlChildText(t, 'name') || 'Track' // Track name.
+    const desc = xmlChildText(t, 'desc') // Track description.
+    const segments = xmlChildren(t, 'trkseg').map(seg => xmlChildren(seg, 'trkpt').map(el => {
+      const p = toPoint(el)
+      const time = xmlChildText(el, 'time')
+      const ele = parseFloat(xmlChildText(el, 'ele'))
+      if (time) p.time = time
+      if (!Number.isNaN(ele)) p.ele = ele
+      return p
+    }).filter(valid)).filter(seg => seg.length) // Validate points, one list per trkseg.
+    const properties = { ...gpxPointMeta(t), ...gpxExtensionProps(t) }
+    if (segments.length) items.push({ kind:'track', ...gpxId(properties), name, description:desc, points: segments.flat(), segments, properties }) // Push track with points.
   }
   return items // Return collected records.
 }
-// Serialize waypoints to a minimal GPX document.
-export function toGPX({ waypoints = [] }) {
+// Parse OpenCPN navobj.xml or GPX with opencpn: extensions.
+// On top of parseGPX(): planned speed/departure become the route passage plan, OpenCPN layers
+// (separate GPX files named after the layer) become the group, and the icon name is kept for type mapping.
+export function parseOpenCPN(xmlText, { layer = '' } = {}) {
+  const items = parseGPX(xmlText) // navobj.xml is GPX 1.1 with extensions.
+  for (const it of items) {
+    const props = it.properties || (it.properties = {})
+    const ext = props.extensions || {}
+    const pick = (name) => ext[`opencpn:${name}`] ?? ext[name] // Prefixed as written by OpenCPN.
+    if (it.kind === 'route') {
+      const speedKn = parseFloat(pick('planned_speed'))
+      const departure = pick('planned_departure')
+      if (!Number.isNaN(speedKn) || departure) {
+        props.passagePlan = {
+          ...(props.passagePlan || {}),
+          ...(!Number.isNaN(speedKn) ? { plannedSpeed: Math.round(speedKn * 1852 / 3.6) / 1000 } : {}), // Knots to m/s.
+          ...(departure && !Number.isNaN(Date.parse(departure)) ? { departureTime: new Date(departure).toISOString() } : {})
+        }
+      }
+    }
+    const layerName = pick('layer') || layer
+    if (layerName && !props.group) props.group = layerName
+    if (it.kind === 'waypoint' && props.sym) it.icon = props.sym // OpenCPN icon name, mapped to a waypoint type on import.
+  }
+  return items // Return parsed records.
+}
+// Serialize waypoints, routes and tracks to a minimal GPX document.
+export function toGPX({ waypoints = [], routes = [], tracks = [] }) {
   const esc = (s) => (s ?? '').toString().replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;') // XML escape helper.
+  const ext = (o) => (o.id ? `<extensions><opencpn:guid>${esc(o.id)}</opencpn:guid></extensions>` : '') // Resource id for re-import.
   const wptXml = waypoints.map(w => `
     <wpt lat="${w.latitude}" lon="${w.longitude}">
       <name>${esc(w.name || 'Waypoint')}</name>
       ${w.description ? `<desc>${esc(w.description)}</desc>` : ''}
       ${w.icon ? `<sym>${esc(w.icon)}</sym>` : ''}
+      ${ext(w)}
     </wpt>`).join('\n') // Join waypoint snippets.
+  const rteXml = routes.filter(r => r.points?.length).map(r => `
+    <rte>
+      <name>${esc(r.name || 'Route')}</name>
+      ${r.description ? `<desc>${esc(r.description)}</desc>` : ''}
+      ${ext(r)}
+      ${r.points.map(p => `<rtept lat="${p.latitude}" lon="${p.longitude}">${p.name ? `<name>${esc(p.name)}</name>` : ''}</rtept>`).join('\n      ')}
+    </rte>`).join('\n') // Join route snippets.
+  const trkXml = tracks.map(t => ({ ...t, segments: lineSegments(t) })).filter(t => t.segments.length).map(t => `
+    <trk>
+      <name>${esc(t.name || 'Track')}</name>
+      ${t.description ? `<desc>${esc(t.description)}</desc>` : ''}
+      ${ext(t)}
+      ${t.segments.map(seg => `<trkseg>
+        ${seg.map(p => `<trkpt lat="${p.latitude}" lon="${p.longitude}">${p.ele != null ? `<ele>${p.ele}</ele>` : ''}${p.time ? `<time>${esc(p.time)}</time>` : ''}</trkpt>`).join('\n        ')}
+      </trkseg>`).join('\n      ')}
+    </trk>`).join('\n') // Join track snippets, one trkseg per segment.
   return `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Navigation Manager" xmlns="http://www.topografix.com/GPX/1/1">
+<gpx version="1.1" creator="Navigation Manager" xmlns="http://www.topografix.com/GPX/1/1" xmlns:opencpn="http://www.opencpn.org">
 ${wptXml}
+${rteXml}
+${trkXml}
 </gpx>` // Envelope GPX.
 }
-// Parse KML into waypoints or tracks.
+// Segments of a route/track item: explicit segments when present, otherwise its points as one segment.
+function lineSegments(o) {
+  const segs = Array.isArray(o?.segments) && o.segments.length ? o.segments : [o?.points || []]
+  return segs.filter(seg => Array.isArray(seg) && seg.length)
+}
+// Flatten waypoints into CSV rows: base columns plus scalar properties as extra columns.
+export function toWaypointRows(waypoints = []) {
+  return waypoints.map(({ properties, timestamp, ...w }) => {
+    const row = { ...w } // Base columns first.
+    for (const [k, v] of Object.entries(properties || {})) {
+      if (v != null && typeof v !== 'object' && !(k in row)) row[k] = v // Nested values do not fit a cell.
+    }
+    return row
+  })
+}
+// Flatten routes and tracks into one CSV row per point.
+export function toPointRows({ routes = [], tracks = [] }) {
+  const rows = [] // Output rows.
+  const add = (kind, o) => lineSegments(o).forEach((seg, si) => seg.forEach((p, i) => rows.push({
+    kind, id: o.id || '', name: o.name || '', segment: si, point: i, point_name: p.name || '', latitude: p.latitude, longitude: p.longitude, time: p.time || ''
+  }))) // One row per point, keeping segment and order.
+  for (const r of routes) add('route', r)
+  for (const t of tracks) add('track', t)
+  return rows // Return flattened rows.
+}
+// ---------------- KML / KMZ ----------------
+//
+// Folders become groups (properties.group, "Outer / Inner"), styles map to icon and colours,
+// Polygons become regions, MultiGeometry and gx:Track/gx:MultiTrack are flattened into items.
+
+// Convert a KML colour (aabbggrr) into CSS #rrggbb.
+function kmlColourToCss(c) {
+  const m = /^([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec((c || '').trim())
+  return m ? `#${m[4]}${m[3]}${m[2]}`.toLowerCase() : ''
+}
+// Convert CSS #rrggbb into an opaque KML colour (ffbbggrr).
+function cssColourToKml(c) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec((c || '').trim())
+  return m ? `ff${m[3]}${m[2]}${m[1]}`.toLowerCase() : ''
+}
+// Parse a KML coordinates string into points.
+function kmlCoords(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).map(s => {
+    const [lon, lat, alt] = s.split(',').map(x => parseFloat(x)) // lon,lat[,alt] tuple.
+    return { latitude: lat, longitude: lon, ...(Number.isNaN(alt) || alt === undefined || alt === 0 ? {} : { ele: alt }) }
+  }).filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))
+}
+// Read the style fields we understand from a <Style> element.
+function kmlStyle(el) {
+  if (!el) return {}
+  const style = {} // Only present fields.
+  const iconStyle = xmlChildren(el, 'IconStyle')[0]
+  const href = xmlChildText(xmlChildren(iconStyle, 'Icon')[0], 'href')
+  if (href) style.icon = href
+  const iconColour = kmlColourToCss(xmlChildText(iconStyle, 'color'))
+  if (iconColour) style.iconColour = iconColour
+  const lineStyle = xmlChildren(el, 'LineStyle')[0]
+  const lineColour = kmlColourToCss(xmlChildText(lineStyle, 'color'))
+  if (lineColour) style.lineColour = lineColour
+  const width = parseFloat(xmlChildText(lineStyle, 'width'))
+  if (!Number.isNaN(width)) style.lineWidth = width
+  const fillColour = kmlColourToCss(xmlChildText(xmlChildren(el, 'PolyStyle')[0], 'color'))
+  if (fillColour) style.fillColour = fillColour
+  return style
+}
+// Parse KML into waypoint, route, track and region records.
 export function parseKML(xmlText) {
-  const doc = new DOMParser().parseFromString(xmlText, 'application/xml') // Build KML DOM.
+  const doc = parseXml(xmlText) // Build KML DOM.
   const items = [] // Output list.
-  for (const pm of [...doc.querySelectorAll('Placemark')]) { // Every Placemark.
-    const name = pm.querySelector('name')?.textContent?.trim() || 'Item' // Placemark name.
-    const desc = pm.querySelector('description')?.textContent?.trim() || '' // Placemark description.
-    const point = pm.querySelector('Point coordinates')?.textContent?.trim() // Point coordinates string.
-    const line = pm.querySelector('LineString coordinates')?.textContent?.trim() // LineString coordinates string.
-    if (point) {
-      const [lon, lat] = point.split(',').map(x => parseFloat(x)) // Parse lon/lat.
-      if (!Number.isNaN(lat) && !Number.isNaN(lon)) items.push({ kind:'waypoint', name, description:desc, latitude:lat, longitude:lon, icon:'' }) // Push waypoint.
-    } else if (line) {
-      const coords = line.split(/\s+/).map(s => s.trim()).filter(Boolean).map(s => {
-        const [lon, lat] = s.split(',').map(x => parseFloat(x)) // Parse lon/lat pair.
-        return { latitude: lat, longitude: lon } // Shape into object.
-      }).filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude)) // Validate entries.
-      if (coords.length) items.push({ kind:'track', name, description:desc, points: coords }) // Push track.
+  const all = (name) => xmlDescendants(doc).filter(n => xmlLocalName(n) === name) // Elements by local name (handles gx: prefixes).
+
+  // Shared styles by id; StyleMaps resolve to their "normal" style.
+  const styles = new Map()
+  for (const st of all('Style')) if (st.getAttribute('id')) styles.set(st.getAttribute('id'), kmlStyle(st))
+  for (const sm of all('StyleMap')) {
+    const normal = xmlChildren(sm, 'Pair').find(p => xmlChildText(p, 'key') === 'normal')
+    const ref = xmlChildText(normal, 'styleUrl').replace(/^.*#/, '')
+    if (sm.getAttribute('id')) styles.set(sm.getAttribute('id'), styles.get(ref) || kmlStyle(xmlChildren(normal, 'Style')[0]))
+  }
+
+  // Typed SchemaData fields: schema id -> field name -> KML type (toKML() writes numbers and booleans this way).
+  const schemas = new Map()
+  for (const sc of all('Schema')) {
+    if (sc.getAttribute('id')) schemas.set(sc.getAttribute('id'), new Map(xmlChildren(sc, 'SimpleField').map(f => [f.getAttribute('name'), f.getAttribute('type')])))
+  }
+  const simpleValue = (type, v) => {
+    if (type === 'bool') return v === '1' || v.toLowerCase() === 'true'
+    const n = Number(v)
+    return ['int', 'uint', 'short', 'ushort', 'float', 'double'].includes(type) && v !== '' && !Number.isNaN(n) ? n : v
+  }
+
+  // Collect every geometry of a Placemark, descending into MultiGeometry and gx:MultiTrack.
+  const geometries = (el, out = []) => {
+    for (const g of [...el.childNodes].filter(n => n.nodeType === 1)) {
+      const n = xmlLocalName(g)
+      if (n === 'MultiGeometry' || n === 'MultiTrack') geometries(g, out)
+      else if (['Point', 'LineString', 'LinearRing', 'Polygon', 'Track'].includes(n)) out.push(g)
     }
+    return out
   }
+
+  const handlePlacemark = (pm, groups) => {
+    const name = xmlChildText(pm, 'name') || 'Item' // Placemark name.
+    const desc = xmlChildText(pm, 'description') // Placemark description.
+    const data = {} // ExtendedData name/value pairs.
+    for (const d of xmlDescendants(pm).filter(n => xmlLocalName(n) === 'Data')) {
+      if (d.getAttribute('name')) data[d.getAttribute('name')] = xmlChildText(d, 'value')
+    }
+    for (const sd of xmlDescendants(pm).filter(n => xmlLocalName(n) === 'SchemaData')) {
+      const fields = schemas.get((sd.getAttribute('schemaUrl') || '').replace(/^.*#/, '')) || new Map()
+      for (const f of xmlChildren(sd, 'SimpleData')) {
+        const key = f.getAttribute('name')
+        if (key) data[key] = simpleValue(fields.get(key), f.textContent.trim())
+      }
+    }
+    const { kind: kindHint, ...extended } = data // Kind written by toKML().
+    const style = { ...(styles.get(xmlChildText(pm, 'styleUrl').replace(/^.*#/, '')) || {}), ...kmlStyle(xmlChildren(pm, 'Style')[0]) }
+    const properties = {
+      ...extended,
+      ...(groups.length ? { group: groups.join(' / ') } : {}),
+      ...(Object.keys(style).length ? { style } : {})
+    }
+    const colour = style.lineColour || style.fillColour
+    const icon = style.icon ? style.icon.split('/').pop().replace(/\.[a-z0-9]+$/i, '') : '' // Icon file name without extension.
+
+    const lines = [] // LineString / gx:Track segments.
+    const polygons = [] // Polygon rings.
+    for (const g of geometries(pm)) {
+      const n = xmlLocalName(g)
+      if (n === 'Point') {
+        const [p] = kmlCoords(xmlChildText(g, 'coordinates'))
+        if (p) items.push({ kind:'waypoint', name, description:desc, latitude:p.latitude, longitude:p.longitude, icon, properties: { ...properties, ...(p.ele != null ? { ele: p.ele } : {}) } })
+      } else if (n === 'LineString' || n === 'LinearRing') {
+        const pts = kmlCoords(xmlChildText(g, 'coordinates'))
+        if (pts.length) lines.push(pts)
+      } else if (n === 'Track') {
+        // gx:Track pairs <when> timestamps with gx:coord "lon lat alt" entries.
+        const whens = xmlChildren(g, 'when').map(w => w.textContent.trim())
+        const pts = xmlChildren(g, 'coord').map((c, i) => {
+          const [lon, lat, alt] = c.textContent.trim().split(/\s+/).map(x => parseFloat(x))
+          return { latitude: lat, longitude: lon, ...(whens[i] ? { time: whens[i] } : {}), ...(Number.isNaN(alt) || alt === undefined || alt === 0 ? {} : { ele: alt }) }
+        }).filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))
+        if (pts.length) lines.push(pts)
+      } else if (n === 'Polygon') {
+        const ring = (b) => kmlCoords(xmlChildText(xmlChildren(b, 'LinearRing')[0], 'coordinates'))
+        const outer = xmlChildren(g, 'outerBoundaryIs').map(ring)[0] || []
+        const inner = xmlChildren(g, 'innerBoundaryIs').map(ring).filter(r => r.length)
+        if (outer.length >= 3) polygons.push([outer, ...inner])
+      }
+    }
+    if (lines.length) {
+      const kind = kindHint === 'route' ? 'route' : 'track' // Plain LineStrings are treated as tracks.
+      const item = { kind, name, description:desc, points: lines.flat(), properties: { ...properties, ...(colour ? { colour } : {}) } }
+      if (kind === 'track') item.segments = lines
+      items.push(item)
+    }
+    if (polygons.length) items.push({ kind:'region', name, description:desc, polygons, properties: { ...properties, ...(colour ? { colour } : {}) } })
+  }
+
+  // Walk Document/Folder hierarchy, recording folder names as the group path.
+  const walk = (el, groups) => {
+    for (const child of [...el.childNodes].filter(n => n.nodeType === 1)) {
+      const n = xmlLocalName(child)
+      if (n === 'Placemark') handlePlacemark(child, groups)
+      else if (n === 'Folder') walk(child, [...groups, xmlChildText(child, 'name') || 'Folder'])
+      else if (n === 'Document' || n === 'kml') walk(child, groups)
+    }
+  }
+  walk(doc.documentElement ? doc.documentElement : doc, [])
   return items // Return parsed items.
 }
-// Serialize waypoints to KML for export.
-export function toKML({ waypoints = [] }) {
+// Serialize waypoints, routes and tracks to KML for export.
+// Items are placed in Folders by properties.group; tracks with times are written as gx:Track.
+export function toKML({ waypoints = [], routes = [], tracks = [] }) {
   const esc = (s) => (s ?? '').toString().replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;') // XML escape helper.
-  const wpt = waypoints.map(w => `
+  const coords = (pts) => pts.map(p => `${p.longitude},${p.latitude},${p.ele ?? 0}`).join(' ') // KML coordinate tuples.
+  // ExtendedData with the item kind (lets parseKML() tell routes from tracks) and scalar properties.
+  // Numbers and booleans go in SchemaData against a typed Schema, so parseKML() gets the same types back.
+  const SCHEMA_TYPES = { number: 'double', boolean: 'bool' }
+  const typedKeys = { number: new Set(), boolean: new Set() } // Keys used per schema, declared in the Document.
+  const extended = (kind, props = {}) => {
+    const pairs = Object.entries({ ...(kind ? { kind } : {}), ...props })
+        .filter(([k, v]) => k !== 'group' && v != null && typeof v !== 'object')
+    const isTyped = (v) => typeof v === 'boolean' || (typeof v === 'number' && Number.isFinite(v))
+    const data = pairs.filter(([, v]) => !isTyped(v)).map(([k, v]) => `<Data name="${esc(k)}"><value>${esc(v)}</value></Data>`)
+    const schemaData = Object.keys(typedKeys).map(type => {
+      const fields = pairs.filter(([, v]) => isTyped(v) && typeof v === type)
+      fields.forEach(([k]) => typedKeys[type].add(k))
+      return fields.length ? `<SchemaData schemaUrl="#mydata-${type}">${fields.map(([k, v]) => `<SimpleData name="${esc(k)}">${v}</SimpleData>`).join('')}</SchemaData>` : ''
+    })
+    return pairs.length ? `<ExtendedData>${data.join('')}${schemaData.join('')}</ExtendedData>` : ''
+  }
+  const lineStyle = (o) => {
+    const c = cssColourToKml(o.properties?.colour || o.properties?.style?.lineColour)
+    return c ? `<Style><LineStyle><color>${c}</color><width>${o.properties?.style?.lineWidth || 2}</width></LineStyle></Style>` : ''
+  } // Inline line colour when known.
+  const wptPlacemark = (w) => `
   <Placemark>
     <name>${esc(w.name || 'Waypoint')}</name>
     ${w.description ? `<description>${esc(w.description)}</description>` : ''}
+    ${w.properties?.style?.icon ? `<Style><IconStyle><Icon><href>${esc(w.properties.style.icon)}</href></Icon></IconStyle></Style>` : ''}
+    ${extended(null, w.properties)}
     <Point><coordinates>${w.longitude},${w.latitude},0</coordinates></Point>
-  </Placemark>`).join('\n') // Join waypoint placemarks.
+  </Placemark>`
+  const linePlacemark = (kind, o, fallback) => {
+    const segs = lineSegments(o) // Tracks may have several segments.
+    if (!segs.length) return ''
+    const timed = kind === 'track' && segs.every(seg => seg.every(p => p.time)) // Fully timed tracks keep their times.
+    const one = (seg) => timed
+      ? `<gx:Track>${seg.map(p => `<when>${esc(p.time)}</when>`).join('')}${seg.map(p => `<gx:coord>${p.longitude} ${p.latitude} ${p.ele ?? 0}</gx:coord>`).join('')}</gx:Track>`
+      : `<LineString><tessellate>1</tessellate><coordinates>${coords(seg)}</coordinates></LineString>`
+    const geom = segs.length === 1 ? one(segs[0]) : (timed ? `<gx:MultiTrack>${segs.map(one).join('')}</gx:MultiTrack>` : `<MultiGeometry>${segs.map(one).join('')}</MultiGeometry>`)
+    return `
+  <Placemark>
+    <name>${esc(o.name || fallback)}</name>
+    ${o.description ? `<description>${esc(o.description)}</description>` : ''}
+    ${lineStyle(o)}
+    ${extended(kind, o.properties)}
+    ${geom}
+  </Placemark>`
+  } // LineString (or gx:Track) placemark for a route or track.
+
+  // Nest placemarks into folders following their group path.
+  const root = { folders: new Map(), placemarks: [] }
+  const place = (group, xml) => {
+    let node = root
+    for (const part of (group || '').split('/').map(s => s.trim()).filter(Boolean)) {
+      if (!node.folders.has(part)) node.folders.set(part, { folders: new Map(), placemarks: [] })
+      node = node.folders.get(part)
+    }
+    node.placemarks.push(xml)
+  }
+  for (const w of waypoints) place(w.properties?.group, wptPlacemark(w))
+  for (const r of routes) place(r.properties?.group, linePlacemark('route', r, 'Route'))
+  for (const t of tracks) place(t.properties?.group, linePlacemark('track', t, 'Track'))
+  const render = (node) => [
+    ...node.placemarks,
+    ...[...node.folders].map(([name, child]) => `
+  <Folder>
+    <name>${esc(name)}</name>
+    ${render(child)}
+  </Folder>`)
+  ].join('\n')
+  const schemas = Object.entries(typedKeys).filter(([, keys]) => keys.size).map(([type, keys]) => `
+  <Schema name="mydata-${type}" id="mydata-${type}">${[...keys].map(k => `<SimpleField name="${esc(k)}" type="${SCHEMA_TYPES[type]}"/>`).join('')}</Schema>`).join('')
+
   return `<?xml version="1.0" encoding="UTF-8"?>
-<kml xmlns="http://www.opengis.net/kml/2.2">
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
 <Document>
-  <name>Navigation Manager Export</name>
-  ${wpt}
+  <name>Navigation Manager Export</name>${schemas}
+  ${render(root)}
 </Document>
 </kml>` // Complete KML document.
 }
 
+// ---------------- NMEA 0183 (WPL / RTE) ----------------
+//
+// $--WPL,llll.ll,a,yyyyy.yy,a,name*hh     one waypoint
+// $--RTE,total,num,c|w,route,wp1,wp2...*hh route made of WPL names, split over several sentences.
+
+// XOR checksum of the characters between $ and *.
+export function nmeaChecksum(body) {
+  let c = 0
+  for (let i = 0; i < body.length; i++) c ^= body.charCodeAt(i)
+  return c.toString(16).toUpperCase().padStart(2, '0')
+}
+// Wrap a sentence body with $ and checksum.
+function nmeaSentence(body) {
+  return `$${body}*${nmeaChecksum(body)}`
+}
+// Names may not contain NMEA delimiters.
+function nmeaName(s) {
+  return (s ?? '').toString().replace(/[,*$!\r\n]/g, ' ').trim()
+}
+// Degrees to (d)ddmm.mmmm plus hemisphere.
+function nmeaCoord(value, isLat) {
+  const hemi = isLat ? (value < 0 ? 'S' : 'N') : (value < 0 ? 'W' : 'E')
+  const abs = Math.abs(value)
+  let deg = Math.floor(abs)
+  let min = Number(((abs - deg) * 60).toFixed(4))
+  if (min >= 60) { deg += 1; min = 0 } // Rounding carried into the degrees.
+  return [`${String(deg).padStart(isLat ? 2 : 3, '0')}${min.toFixed(4).padStart(7, '0')}`, hemi]
+}
+// (d)ddmm.mmmm plus hemisphere to degrees.
+function nmeaToDegrees(value, hemi, isLat) {
+  const v = parseFloat(value)
+  if (Number.isNaN(v)) return NaN
+  const deg = Math.floor(v / 100)
+  const dec = deg + (v - deg * 100) / 60
+  const sign = (hemi === 'S' || hemi === 'W') ? -1 : 1
+  const out = Math.round(sign * dec * 1e7) / 1e7 // Drop floating point noise.
+  return Math.abs(out) > (isLat ? 90 : 180) ? NaN : out
+}
+// Parse WPL/RTE sentences (any talker) into waypoint and route records.
+// Sentences with a wrong checksum are skipped; WPLs used by a route become its points, not waypoints.
+export function parseNMEA0183(text) {
+  const items = [] // Output list.
+  const byName = new Map() // WPL positions by name, for RTE lookups.
+  const waypoints = [] // WPL records, in sentence order.
+  const routes = new Map() // Route id -> { names, seen }.
+  for (const raw of text.replace(/\r/g, '').split('\n')) {
+    const line = raw.trim().replace(/^.*?(?=\$)/, '') // Drop tag blocks / prefixes before $.
+    const m = /^\$([A-Z]{2})(WPL|RTE),([^*]*)(?:\*([0-9A-Fa-f]{2}))?$/.exec(line)
+    if (!m) continue // Not a WPL/RTE sentence.
+    if (m[4] && m[4].toUpperCase() !== nmeaChecksum(`${m[1]}${m[2]},${m[3]}`)) continue // Bad checksum.
+    const f = m[3].split(',')
+    if (m[2] === 'WPL') {
+      const latitude = nmeaToDegrees(f[0], f[1], true)
+      const longitude = nmeaToDegrees(f[2], f[3], false)
+      const name = (f[4] || '').trim() || 'Waypoint'
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) continue // Skip invalid coordinates.
+      byName.set(name, { latitude, longitude })
+      waypoints.push({ kind:'waypoint', name, description:'', latitude, longitude, icon:'' })
+    } else {
+      const total = parseInt(f[0], 10) || 1
+      const num = parseInt(f[1], 10) || 1
+      const id = (f[3] || '').trim() || 'Route'
+      if (num === 1 || !routes.has(id)) routes.set(id, { names: [], mode: f[2] }) // First sentence restarts the route.
+      const r = routes.get(id)
+      r.names.push(...f.slice(4).map(s => s.trim()).filter(Boolean))
+      if (num >= total) r.complete = true
+    }
+  }
+  const routeNames = new Set([...routes.values()].flatMap(r => r.names)) // Names referenced by any RTE.
+  items.push(...waypoints.filter(w => !routeNames.has(w.name)))
+  for (const [id, r] of routes) {
+    const points = r.names.filter(n => byName.has(n)).map(n => ({ ...byName.get(n), name: n })) // Only names with a WPL position.
+    const missing = r.names.length - points.length // RTE names without a WPL sentence.
+    if (points.length) items.push({ kind:'route', name: id, description:'', points, ...(missing ? { properties: { nmeaMissingPoints: missing } } : {}) })
+  }
+  return items // Return parsed waypoints and routes.
+}
+// Short names for one export: names are cut to maxLength and numbered ("~1", "~2" ...) when
+// the cut makes them collide, so each original name maps to one unique sentence name.
+function nmeaNamer(maxLength) {
+  const byName = new Map() // Original name -> short name.
+  const used = new Set() // Short names already handed out.
+  return (name) => {
+    if (byName.has(name)) return byName.get(name)
+    let short = name.slice(0, maxLength).trim()
+    for (let n = 1; used.has(short); n++) {
+      const suffix = `~${n}`
+      short = name.slice(0, maxLength - suffix.length).trim() + suffix
+    }
+    byName.set(name, short)
+    used.add(short)
+    return short
+  }
+}
+// Serialize waypoints and routes into checksummed WPL/RTE sentences (CRLF separated).
+// Route points are sent as WPL first; unnamed points get "<route>-<n>" names.
+// Names are cut to nameLength characters (many plotters keep 6-10) and stay unique.
+export function toNMEA0183({ waypoints = [], routes = [] }, { talker = 'GP', nameLength = 10 } = {}) {
+  const t = (talker || 'GP').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 2).padEnd(2, 'P')
+  const max = Math.min(Math.max(Math.floor(Number(nameLength)) || 10, 3), 30) // Keeps WPL and RTE within 80 characters.
+  const pointName = nmeaNamer(max) // WPL names, shared by waypoints and route points.
+  const routeName = nmeaNamer(max) // RTE route ids.
+  const out = [] // Sentence list.
+  const wpl = (name, lat, lon) => {
+    const [la, ns] = nmeaCoord(Number(lat), true)
+    const [lo, ew] = nmeaCoord(Number(lon), false)
+    out.push(nmeaSentence(`${t}WPL,${la},${ns},${lo},${ew},${name}`))
+  }
+  for (const w of waypoints) {
+    if (w.latitude == null || w.longitude == null) continue // Skip incomplete points.
+    wpl(pointName(nmeaName(w.name) || 'WPT'), w.latitude, w.longitude)
+  }
+  for (const r of routes) {
+    const id = routeName(nmeaName(r.name) || 'ROUTE')
+    const names = (r.points || []).map((p, i) => {
+      const name = pointName(nmeaName(p.name) || `${id.slice(0, max - String(i + 1).length - 1)}-${i + 1}`)
+      wpl(name, p.latitude, p.longitude)
+      return name
+    })
+    if (!names.length) continue
+    // Split names so each sentence ($ ... *hh) stays within 80 characters before CRLF.
+    const chunks = [[]]
+    const base = `$${t}RTE,99,99,c,${id},`.length + 3 // Fixed fields plus *hh.
+    for (const n of names) {
+      const cur = chunks[chunks.length - 1]
+      if (cur.length && base + cur.join(',').length + 1 + n.length > 80) chunks.push([n])
+      else cur.push(n)
+    }
+    chunks.forEach((c, i) => out.push(nmeaSentence(`${t}RTE,${chunks.length},${i + 1},c,${id},${c.join(',')}`)))
+  }
+  return out.join('\r\n') + (out.length ? '\r\n' : '') // NMEA lines end with CRLF.
+}
+
+// ---------------- ZIP (KMZ) ----------------
+//
+// Minimal ZIP support: reads stored and deflated entries (via DecompressionStream, or the
+// inflater supplied with setInflateRaw()), writes stored entries only.
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    t[n] = c >>> 0
+  }
+  return t
+})()
+// CRC-32 of a byte array.
+function crc32(bytes) {
+  let c = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+// True when the bytes start with a ZIP local file header.
+export function isZip(buffer) {
+  const b = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength))
+  return b[0] === 0x50 && b[1] === 0x4B && b[2] === 0x03 && b[3] === 0x04
+}
+// Raw deflate decoder: the browser's DecompressionStream, or one supplied with setInflateRaw()
+// (e.g. zlib.inflateRawSync, as Node before 21 has no 'deflate-raw' stream).
+let inflateRaw = async (raw) => new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer())
+export function setInflateRaw(fn) {
+  inflateRaw = async (raw) => new Uint8Array(await fn(raw))
+}
+// Read all entries of a ZIP archive as { name, data: Uint8Array }.
+export async function unzip(buffer) {
+  const view = new DataView(buffer)
+  const bytes = new Uint8Array(buffer)
+  // Find the end-of-central-directory record (scanning back over a possible comment).
+  let eocd = -1
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive')
+  const count = view.getUint16(eocd + 10, true)
+  let p = view.getUint32(eocd + 16, true) // Central directory offset.
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014B50) throw new Error('Corrupt ZIP central directory')
+    const method = view.getUint16(p + 10, true)
+    const size = view.getUint32(p + 20, true)
+    const nameLen = view.getUint16(p + 28, true)
+    const extraLen = view.getUint16(p + 30, true)
+    const commentLen = view.getUint16(p + 32, true)
+    const local = view.getUint32(p + 42, true)
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen))
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true) // Skip local header.
+    const raw = bytes.subarray(start, start + size)
+    let data
+    if (method === 0) data = raw
+    else if (method === 8) data = await inflateRaw(raw)
+    else throw new Error(`Unsupported ZIP compression method ${method}`)
+    if (!name.endsWith('/')) entries.push({ name, data })
+    p += 46 + nameLen + extraLen + commentLen
+  }
+  return entries
+}
+// Build a ZIP archive (stored entries) from { name, data: Uint8Array|string }.
+export function zip(files) {
+  const enc = new TextEncoder()
+  const parts = [] // Local headers and data.
+  const central = [] // Central directory records.
+  let offset = 0
+  for (const f of files) {
+    const name = enc.encode(f.name)
+    const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data
+    const crc = crc32(data)
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true); local.setUint16(4, 20, true); local.setUint16(6, 0x0800, true) // Signature, version, UTF-8 names.
+    local.setUint32(14, crc, true); local.setUint32(18, data.length, true); local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    const cen = new DataView(new ArrayBuffer(46))
+    cen.setUint32(0, 0x02014B50, true); cen.setUint16(4, 20, true); cen.setUint16(6, 20, true); cen.setUint16(8, 0x0800, true)
+    cen.setUint32(16, crc, true); cen.setUint32(20, data.length, true); cen.setUint32(24, data.length, true)
+    cen.setUint16(28, name.length, true); cen.setUint32(42, offset, true)
+    parts.push(new Uint8Array(local.buffer), name, data)
+    central.push(new Uint8Array(cen.buffer), name)
+    offset += 30 + name.length + data.length
+  }
+  const cenSize = central.reduce((n, b) => n + b.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true); end.setUint16(8, files.length, true); end.setUint16(10, files.length, true)
+  end.setUint32(12, cenSize, true); end.setUint32(16, offset, true)
+  const all = [...parts, ...central, new Uint8Array(end.buffer)]
+  const out = new Uint8Array(all.reduce((n, b) => n + b.length, 0))
+  let o = 0
+  for (const b of all) { out.set(b, o); o += b.length }
+  return out
+}
+// Extract the main KML document (doc.kml, or the first .kml) from a KMZ archive.
+export async function kmzToKml(buffer) {
+  const entries = await unzip(buffer)
+  const kml = entries.find(e => e.name.toLowerCase() === 'doc.kml') || entries.find(e => e.name.toLowerCase().endsWith('.kml'))
+  if (!kml) throw new Error('KMZ contains no KML document')
+  return new TextDecoder().decode(kml.data)
+}
+// Serialize items to a KMZ archive (doc.kml inside a ZIP).
+export function toKMZ(opts) {
+  return zip([{ name: 'doc.kml', data: toKML(opts) }])
+}
+
 // ---------------- GeoJSON ----------------
 //
 // Supports Feature or FeatureCollection.
 // Waypoints: Point geometry
-// Routes/Tracks: LineString or MultiLineString (flattened)
+// Routes/Tracks: LineString or MultiLineString (routes flattened, tracks keep segments)
+// Ids, timestamps and all other properties written by toGeoJSON() are restored.
 // Disambiguation: feature.properties.kind ('waypoint'|'route'|'track') preferred;
 // otherwise geometry Point->waypoint, LineString->track.
 export function parseGeoJSON(text) {
@@ -187,12 +1000,23 @@ export function parseGeoJSON(text) {
     try { return v.toString() } catch { return fallback }
   }
 
-  // Helper to flatten line-based geometries into route/track items.
-  const addLine = (kind, name, description, coords) => {
-    const pts = (coords || []).map(c => ({ longitude: c[0], latitude: c[1] }))
-        .filter(p => p.latitude != null && p.longitude != null && !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))
-        .map(p => ({ latitude: p.latitude, longitude: p.longitude }))
-    if (pts.length) items.push({ kind, name, description, points: pts })
+  // Helper to turn line-based geometries into route/track items.
+  // Route point names come back from coordinatesMeta, track point times from coordinateProperties.times.
+  const addLine = (kind, name, description, lines, extra) => {
+    const props = extra.properties || {}
+    const meta = kind === 'route' && Array.isArray(props.coordinatesMeta) ? props.coordinatesMeta : []
+    const times = kind === 'track' ? props.coordinateProperties?.times : null
+    const segments = lines.map((coords, si) => (coords || []).map((c, i) => {
+      const p = { latitude: Number(c?.[1]), longitude: Number(c?.[0]) }
+      const segTimes = Array.isArray(times?.[si]) ? times[si] : (lines.length === 1 && Array.isArray(times) && !Array.isArray(times[0]) ? times : null)
+      if (meta[i]?.name) p.name = meta[i].name
+      if (segTimes?.[i]) p.time = segTimes[i]
+      return p
+    }).filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))).filter(seg => seg.length)
+    if (!segments.length) return
+    const item = { kind, name, description, points: segments.flat(), ...extra }
+    if (kind === 'track') item.segments = segments // Keep track segments apart.
+    items.push(item)
   }
 
   for (const f of feats) {
@@ -201,26 +1025,33 @@ export function parseGeoJSON(text) {
     const p = { ...(f.properties || {}) } // Properties map.
 
     let nameProp = ''
-    if (p.name) { nameProp = p.name; delete p.name }
+    if (p.name != null) { nameProp = p.name; delete p.name }
     else if (p.title) { nameProp = p.title; delete p.title }
     else nameProp = f.name ?? f.id ?? 'Waypoint'
     const name = toText(nameProp, 'Waypoint') // Preferred name.
 
     let descProp = ''
-    if (p.description) { descProp = p.description; delete p.description }
+    if (p.description != null) { descProp = p.description; delete p.description }
     else if (p.desc) { descProp = p.desc; delete p.desc }
     else descProp = f.description ?? ''
     const description = toText(descProp, '') // Preferred description.
 
     let typeProp = ''
-    if (p.type) { typeProp = p.type; delete p.type }
+    if (p.type != null) { typeProp = p.type || 'waypoint'; delete p.type }
     else typeProp = 'waypoint'
 
+    // Resource id and timestamp written by toGeoJSON(); everything else stays in properties.
+    const id = toText(pickFirst(p.id, f.id), '') || null
+    const timestamp = p.timestamp || null
+    const kindMeta = p.kind
+    delete p.id; delete p.timestamp; delete p.kind
+    const extra = { ...(id ? { id } : {}), ...(timestamp ? { timestamp } : {}), properties: p }
+
 
     const skIcon = p.skIcon || p.skicon || ''
 
 
-    const kindProp = (p.kind || typeProp || '').toString().toLowerCase() // Explicit kind property.
+    const kindProp = (kindMeta || typeProp || '').toString().toLowerCase() // Explicit kind property.
     const kindFromGeom = g.type === 'Point' ? 'waypoint' : (g.type === 'LineString' || g.type === 'MultiLineString') ? 'track' : '' // Infer kind.
     const kind = (kindProp === 'route' || kindProp === 'track' || kindProp === 'waypoint') ? kindProp : kindFromGeom // Decide kind.
 
@@ -237,17 +1068,15 @@ export function parseGeoJSON(text) {
         longitude: lon,
         type: typeProp || '',
         skIcon: skIcon || '',
-        properties: p,
-        icon: (p.icon || p.sym || '')?.toString() || ''
+        icon: (p.icon || p.sym || '')?.toString() || '',
+        ...extra
       }) // Push waypoint.
     } else if (g.type === 'LineString') {
-      addLine(kind === 'route' ? 'route' : 'track', name, description, g.coordinates) // Single line.
+      addLine(kind === 'route' ? 'route' : 'track', name, description, [g.coordinates], extra) // Single line.
     } else if (g.type === 'MultiLineString') {
-      const merged = [] // Container for merged coordinates.
-      for (const part of (g.coordinates || [])) {
-        if (Array.isArray(part)) merged.push(...part) // Flatten each part.
-      }
-      addLine(kind === 'route' ? 'route' : 'track', name, description, merged) // Add merged line.
+      const parts = (g.coordinates || []).filter(Array.isArray) // One part per segment.
+      if (kind === 'route') addLine('route', name, description, [parts.flat()], extra) // Routes are merged into one line.
+      else addLine('track', name, description, parts, extra) // Tracks keep their segments.
     }
   }
   return items // Return results.
@@ -262,40 +1091,504 @@ export function toGeoJSON({ waypoints = [], routes = [], tracks = [] }) {
       type: 'Feature',
       geometry: { type: 'Point', coordinates: [Number(w.longitude), Number(w.latitude)] }, // Point geometry.
       properties: {
+        // Full resource properties when known, so depth, contact info etc. survive a round-trip.
+        ...(w.properties || { skIcon: w.skIcon || '', icon: w.icon || '' }),
         kind: 'waypoint',
         id: w.id || null,
         name: w.name || 'Waypoint',
         description: w.description || '',
         type: w.type || '',
-        skIcon: w.skIcon || '',
-        icon: w.icon || ''
+        ...(w.timestamp ? { timestamp: w.timestamp } : {})
       }
     })
   }
 
-  // Helper to build a line feature for routes/tracks.
-  const lineFeature = (kind, o) => ({
-    type: 'Feature',
-    geometry: {
-      type: 'LineString',
-      coordinates: (o.points || []).map(p => [Number(p.longitude), Number(p.latitude)])
-    },
-    properties: {
-      kind,
-      id: o.id || null,
-      name: o.name || (kind === 'route' ? 'Route' : 'Track'),
-      description: o.description || ''
+  // Helper to build a line feature for routes/tracks (MultiLineString for multi-segment tracks).
+  const toCoords = (pts) => pts.map(p => [Number(p.longitude), Number(p.latitude)])
+  const lineFeature = (kind, o) => {
+    const segs = lineSegments(o)
+    return {
+      type: 'Feature',
+      geometry: segs.length > 1
+        ? { type: 'MultiLineString', coordinates: segs.map(toCoords) }
+        : { type: 'LineString', coordinates: toCoords(segs[0] || []) },
+      properties: {
+        ...(o.properties || {}),
+        kind,
+        id: o.id || null,
+        name: o.name || (kind === 'route' ? 'Route' : 'Track'),
+        description: o.description || '',
+        ...(o.timestamp ? { timestamp: o.timestamp } : {})
+      }
     }
-  })
+  }
 
   for (const r of (routes || [])) {
-    if (!r.points?.length) continue // Ignore empty routes.
+    if (!lineSegments(r).length) continue // Ignore empty routes.
     features.push(lineFeature('route', r)) // Add route feature.
   }
   for (const t of (tracks || [])) {
-    if (!t.points?.length) continue // Ignore empty tracks.
+    if (!lineSegments(t).length) continue // Ignore empty tracks.
     features.push(lineFeature('track', t)) // Add track feature.
   }
 
   return JSON.stringify({ type: 'FeatureCollection', features }, null, 2) // Stringify with indentation.
 }
+
+// ---------------- Resources backup ----------------
+//
+// Native archive: resources exactly as the v2 Resources API returns them
+// (keyed by id, including timestamp and $source), plus a manifest.
+export const BACKUP_FORMAT = 'signalk-resources-backup'
+export const BACKUP_TYPES = ['waypoints', 'routes', 'tracks', 'notes', 'regions']
+
+// Serialize resource collections ({ type: { id: resource } }) into a backup archive.
+export function toBackup(resources = {}, meta = {}) {
+  const out = {} // Only known resource types, in a stable order.
+  for (const type of BACKUP_TYPES) if (resources[type]) out[type] = resources[type]
+  const counts = Object.fromEntries(Object.entries(out).map(([t, coll]) => [t, Object.keys(coll).length])) // Per-type counts.
+  const manifest = { format: BACKUP_FORMAT, version: 1, created: new Date().toISOString(), generator: 'Navigation Manager', counts, ...meta }
+  return JSON.stringify({ manifest, resources: out }, null, 2) // Stringify with indentation.
+}
+
+// Parse and validate a backup archive.
+export function parseBackup(text) {
+  const obj = typeof text === 'string' ? JSON.parse(text) : text // Accept text or parsed object.
+  if (obj?.manifest?.format !== BACKUP_FORMAT) throw new Error('Not a resources backup (missing manifest)') // Guard foreign files.
+  if (Number(obj.manifest.version) > 1) throw new Error(`Unsupported backup version ${obj.manifest.version}`) // Guard newer archives.
+  const resources = {} // Validated collections.
+  for (const type of BACKUP_TYPES) {
+    const coll = obj.resources?.[type]
+    if (coll && typeof coll === 'object' && !Array.isArray(coll)) resources[type] = coll
+  }
+  return { manifest: obj.manifest, resources } // Return manifest and collections.
+}
+
+// ---------------- Signal K resources ----------------
+//
+// v2 Resources API payloads, shared by the webapp and the plugin's /import and /export routes.
+
+// Generate a UUID for resource identifiers, with a Math.random() fallback (no global crypto before Node 19).
+export function genUuid() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID()
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0
+    const v = c === 'x' ? r : (r & 0x3) | 0x8
+    return v.toString(16)
+  })
+}
+
+// Resource ids are UUIDs; anything else in an imported file gets a fresh id.
+export function isResourceId(id) {
+  return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)
+}
+
+// Resource collection for each parsed item kind.
+export const KIND_TYPES = { waypoint: 'waypoints', route: 'routes', track: 'tracks', region: 'regions' }
+
+// Extract the waypoint id from an href (e.g. /resources/waypoints/<id>).
+export function waypointIdFromHref(href) {
+  const m = /\/resources\/waypoints\/([^/]+)$/.exec(href || '')
+  return m ? decodeURIComponent(m[1]) : null
+}
+
+// Extract route points from the LineString geometry and its coordinatesMeta entries.
+// nameForHref names points that reference a waypoint (the webapp looks it up in its cache).
+export function extractRoutePoints(obj = {}, nameForHref = () => '') {
+  const geom = obj.feature?.geometry
+  const coords = geom?.type === 'LineString' && Array.isArray(geom.coordinates) ? geom.coordinates : []
+  const meta = Array.isArray(obj.feature?.properties?.coordinatesMeta) ? obj.feature.properties.coordinatesMeta : []
+  return coords.map((c, i) => {
+    const { href = '', name, ...rest } = meta[i] || {}
+    return {
+      latitude: Number(c?.[1]),
+      longitude: Number(c?.[0]),
+      name: name || nameForHref(href),
+      href,
+      // Other free-point metadata (e.g. time, sym from GPX) is kept for saving.
+      ...(!href && Object.keys(rest).length ? { meta: rest } : {})
+    }
+  }).filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))
+}
+
+// Extract track segments from LineString/MultiLineString geometry.
+// Point times and elevations come from feature.properties.coordinateProperties when present.
+export function extractTrackSegments(obj = {}) {
+  const geom = obj.feature?.geometry
+  const props = obj.feature?.properties || {}
+  let lines = []
+  if (geom?.type === 'LineString') lines = [geom.coordinates || []]
+  else if (geom?.type === 'MultiLineString') lines = geom.coordinates || []
+  const times = props.coordinateProperties?.times || props.times || null
+  const elevations = props.coordinateProperties?.elevations || null
+  return lines.map((line, si) => {
+    // Times mirror the geometry: one array per segment for MultiLineString, flat for LineString.
+    const segTimes = Array.isArray(times?.[si]) ? times[si] : (geom?.type === 'LineString' ? times : null)
+    const segEle = Array.isArray(elevations?.[si]) ? elevations[si] : (geom?.type === 'LineString' ? elevations : null)
+    return (Array.isArray(line) ? line : []).map((c, i) => ({
+      latitude: Number(c?.[1]),
+      longitude: Number(c?.[0]),
+      time: segTimes?.[i] || null,
+      ...(segEle?.[i] != null ? { ele: Number(segEle[i]) } : {})
+    })).filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))
+  }).filter(seg => seg.length)
+}
+
+// Build a waypoint payload including GeoJSON feature metadata.
+export function buildWaypointPayload({ id, name, description, type, position, properties = {}}) {
+
+  /*
+  {
+  "e16fe805-f76e-43e1-826d-dfec1f0b4fd3": {
+    "name": "Wpt-73916",
+    "description": "A waypoint",
+    "feature": {
+      "type": "Feature",
+      "geometry": {
+        "type": "Point",
+        "coordinates": [
+          23.44317218974258,
+          59.989769061119716
+        ]
+      },
+      "properties": {
+        "skIcon": "virtual-north"
+      },
+      "id": ""
+    },
+    "type": "pseudoaton",
+    "timestamp": "2026-01-08T21:28:11.867Z",
+    "$source": "resources-provider"
+  }
+}
+   */
+
+  const payload = {}
+  if (id) payload.id = id
+  if (name !== undefined) payload.name = name
+  if (description !== undefined) payload.description = description
+  if (type !== undefined) payload.type = type
+
+  const lat = Number(position?.latitude)
+  const lon = Number(position?.longitude)
+  const hasCoords = !Number.isNaN(lat) && !Number.isNaN(lon)
+
+  if (hasCoords) {
+
+    payload.feature = {
+      "type": "Feature",
+      "geometry": {
+        "type": "Point",
+        "coordinates": [ lon,  lat ]
+      },
+      "properties": properties,
+      "id": ""
+    }
+  }
+
+  return payload
+}
+
+// Build a route payload (LineString feature + coordinatesMeta) for the v2 Resources API.
+export function buildRoutePayload({ id, name, description, points = [], properties = {} }) {
+  const payload = {}
+  if (id) payload.id = id
+  if (name !== undefined) payload.name = name
+  if (description !== undefined) payload.description = description
+
+  const pts = points
+      .map(p => ({ ...p, latitude: Number(p.latitude), longitude: Number(p.longitude) }))
+      .filter(p => !Number.isNaN(p.latitude) && !Number.isNaN(p.longitude))
+
+  // Total length in meters, as expected by the route schema.
+  let distanceNm = 0
+  for (let i = 1; i < pts.length; i++) {
+    distanceNm += haversineNm(pts[i - 1].latitude, pts[i - 1].longitude, pts[i].latitude, pts[i].longitude)
+  }
+  payload.distance = Math.round(distanceNm * 1852)
+
+  payload.feature = {
+    "type": "Feature",
+    "geometry": {
+      "type": "LineString",
+      "coordinates": pts.map(p => [ p.longitude, p.latitude ])
+    },
+    "properties": {
+      ...properties,
+      // Waypoint references keep their href; free points carry their own name.
+      "coordinatesMeta": pts.map(p => (p.href ? { href: p.href } : { ...(p.meta || {}), name: p.name || '' }))
+    },
+    "id": ""
+  }
+
+  return payload
+}
+
+// Build a track payload (MultiLineString feature) for the v2 Resources API.
+// Point times and elevations, when known, go to feature.properties.coordinateProperties.
+export function buildTrackPayload({ id, name, description, segments = [], properties = {} }) {
+  const payload = {}
+  if (id) payload.id = id
+  if (name !== undefined) payload.name = name
+  if (description !== undefined) payload.description = description
+
+  // GeoJSON line strings need at least two positions.
+  const segs = segments
+      .map(seg => (seg || []).filter(p => !Number.isNaN(Number(p.latitude)) && !Number.isNaN(Number(p.longitude))))
+      .filter(seg => seg.length >= 2)
+  const hasTimes = segs.some(seg => seg.some(p => p.time))
+  const hasEle = segs.some(seg => seg.some(p => p.ele != null))
+  const coordinateProperties = {
+    ...(properties.coordinateProperties || {}),
+    ...(hasTimes ? { "times": segs.map(seg => seg.map(p => p.time || null)) } : {}),
+    ...(hasEle ? { "elevations": segs.map(seg => seg.map(p => p.ele ?? null)) } : {})
+  }
+
+  payload.feature = {
+    "type": "Feature",
+    "geometry": {
+      "type": "MultiLineString",
+      "coordinates": segs.map(seg => seg.map(p => [ Number(p.longitude), Number(p.latitude) ]))
+    },
+    "properties": {
+      ...properties,
+      ...(Object.keys(coordinateProperties).length ? { coordinateProperties } : {})
+    },
+    "id": ""
+  }
+
+  return payload
+}
+
+// Build a region payload (Polygon or MultiPolygon feature) for the v2 Resources API.
+// polygons is a list of rings lists: [outer, ...holes], each ring a list of points.
+export function buildRegionPayload({ id, name, description, polygons = [], properties = {} }) {
+  const payload = {}
+  if (id) payload.id = id
+  if (name !== undefined) payload.name = name
+  if (description !== undefined) payload.description = description
+
+  // GeoJSON rings are closed: the last position repeats the first.
+  const ring = (pts) => {
+    const coords = pts.map(p => [ Number(p.longitude), Number(p.latitude) ])
+    const [first, last] = [coords[0], coords[coords.length - 1]]
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) coords.push([ ...first ])
+    return coords
+  }
+  const polys = polygons.map(rings => rings.map(ring).filter(r => r.length >= 4)).filter(rings => rings.length)
+
+  payload.feature = {
+    "type": "Feature",
+    "geometry": polys.length === 1
+      ? { "type": "Polygon", "coordinates": polys[0] }
+      : { "type": "MultiPolygon", "coordinates": polys },
+    "properties": { ...properties },
+    "id": ""
+  }
+
+  return payload
+}
+
+// Waypoint types for common symbol/icon names from other apps (KML icon files, GPX sym).
+const SYMBOL_TYPES = [
+  [/whale/i, 'whale'],
+  [/man[-_ ]?overboard|\bmob\b|\bpob\b/i, 'pob'],
+  [/aton|beacon|buoy/i, 'pseudoaton'],
+  [/start[-_ ]?boat|committee/i, 'start-boat'],
+  [/start[-_ ]?pin|flag/i, 'start-pin'],
+  [/blu|blue/i, 'marker-blue'],
+  [/grn|green/i, 'marker-green']
+]
+
+// OpenCPN icon names (UserIcons/default set) onto waypoint types.
+const OPENCPN_ICON_TYPES = {
+  'mob': 'pob',
+  'activepoint': 'waypoint',
+  'circle': 'waypoint',
+  'square': 'waypoint',
+  'triangle': 'waypoint',
+  'diamond': 'waypoint',
+  'xmblue': 'marker-blue',
+  'xmgreen': 'marker-green',
+  'xmred': 'waypoint',
+  'symbol-diamond-blue': 'marker-blue',
+  'symbol-diamond-green': 'marker-green',
+  'symbol-square-blue': 'marker-blue',
+  'symbol-square-green': 'marker-green',
+  'symbol-triangle-blue': 'marker-blue',
+  'symbol-triangle-green': 'marker-green',
+  'marks-preferred-channel-port': 'pseudoaton',
+  'marks-preferred-channel-starboard': 'pseudoaton',
+  'marks-lateral-port': 'pseudoaton',
+  'marks-lateral-starboard': 'pseudoaton',
+  'marks-cardinal-north': 'pseudoaton',
+  'marks-cardinal-south': 'pseudoaton',
+  'marks-cardinal-east': 'pseudoaton',
+  'marks-cardinal-west': 'pseudoaton',
+  'marks-isolated-danger': 'pseudoaton',
+  'marks-safe-water': 'pseudoaton',
+  'marks-special-purpose': 'pseudoaton',
+  'boat': 'start-boat',
+  'flag': 'start-pin',
+  'pin': 'start-pin'
+}
+
+// Pick a waypoint type for an imported symbol name (exact type ids win), or null.
+// isKnownType(id) says whether an icon with that id exists (the webapp's catalogs, the plugin's waypoints.json).
+export function waypointTypeForSymbol(symbol, isKnownType = () => false) {
+  if (!symbol) return null
+  const known = (id) => (id && isKnownType(id) ? id : null)
+  const exact = known(symbol) || known(symbol.toLowerCase())
+  if (exact) return exact
+  const opencpn = OPENCPN_ICON_TYPES[symbol.toLowerCase()]
+  if (known(opencpn)) return opencpn
+  const hit = SYMBOL_TYPES.find(([re]) => re.test(symbol))
+  return hit ? known(hit[1]) : null
+}
+
+// True for a finite latitude/longitude pair inside the valid range.
+export function validLatLon(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+}
+
+// Problems that keep a parsed item from being imported (the webapp preview and the plugin's /import).
+export function importIssues(it) {
+  const issues = []
+  const bad = (pts) => pts.filter(p => !validLatLon(p.latitude, p.longitude)).length
+  if (it.kind === 'waypoint' && !validLatLon(it.latitude, it.longitude)) issues.push('invalid coordinates')
+  if (it.kind === 'route') {
+    const n = bad(it.points || [])
+    if (n) issues.push(`${n} point(s) with invalid coordinates`)
+    if ((it.points || []).length < 2) issues.push('fewer than 2 points')
+  }
+  if (it.kind === 'track') {
+    const segments = it.segments || [it.points || []]
+    const n = segments.reduce((sum, seg) => sum + bad(seg), 0)
+    if (n) issues.push(`${n} point(s) with invalid coordinates`)
+    if (!segments.some(seg => seg.length >= 2)) issues.push('fewer than 2 points')
+  }
+  if (it.kind === 'region') {
+    const rings = (it.polygons || []).flat()
+    const n = rings.reduce((sum, ring) => sum + bad(ring), 0)
+    if (n) issues.push(`${n} point(s) with invalid coordinates`)
+    if (!rings.length) issues.push('no polygon')
+  }
+  return issues
+}
+
+// Build the resource payload for a parsed import item (null when not importable).
+// typeForSymbol maps an imported symbol name to a waypoint type (see waypointTypeForSymbol()).
+export function buildImportPayload(it, { typeForSymbol = () => null } = {}) {
+  const type = KIND_TYPES[it?.kind]
+  if (!type) return null
+  // Keep ids carried by the file (GeoJSON id, GPX guid, CSV id column) so re-imports update in place.
+  const id = isResourceId(it.id) ? it.id : genUuid()
+  if (type === 'waypoints') {
+    return {
+      type,
+      payload: buildWaypointPayload({
+        id,
+        name: it.name || 'Waypoint',
+        description: it.description || '',
+        type: it.type || typeForSymbol(it.icon) || 'waypoint',
+        position: { latitude: it.latitude, longitude: it.longitude },
+        properties: it.properties || {}
+      })
+    }
+  }
+  if (type === 'regions') {
+    if (!(it.polygons || []).length) return null
+    return {
+      type,
+      payload: buildRegionPayload({
+        id,
+        name: it.name || 'Region',
+        description: it.description || '',
+        polygons: it.polygons,
+        properties: it.properties || {}
+      })
+    }
+  }
+  if (type === 'routes') {
+    if ((it.points || []).length < 2) return null
+    return {
+      type,
+      payload: buildRoutePayload({
+        id,
+        name: it.name || 'Route',
+        description: it.description || '',
+        points: it.points.map(p => ({ ...p, href: '' })),
+        properties: it.properties || {}
+      })
+    }
+  }
+  const segments = it.segments || [it.points || []]
+  if (!segments.some(seg => seg.length >= 2)) return null
+  return {
+    type,
+    payload: buildTrackPayload({
+      id,
+      name: it.name || 'Track',
+      description: it.description || '',
+      segments,
+      properties: it.properties || {}
+    })
+  }
+}
+
+// Plain export item (as used by toGPX(), toKML() ...) for a resource returned by the Resources API.
+export function resourceToItem(type, id, obj = {}, { nameForHref } = {}) {
+  const props = obj.feature?.properties || obj.properties || {} // Feature properties.
+  const base = { id, name: obj.name || id, description: obj.description || '', properties: props, ...(obj.timestamp ? { timestamp: obj.timestamp } : {}) }
+  if (type === 'waypoints') {
+    const c = obj.feature?.geometry?.type === 'Point' ? obj.feature.geometry.coordinates : null // [lon, lat].
+    const pos = obj.position || (c ? { latitude: c[1], longitude: c[0] } : {})
+    const wpType = props.type || obj.type || ''
+    return { ...base, latitude: pos.latitude, longitude: pos.longitude, icon: props.skIcon || wpType || props.icon || '', type: wpType, skIcon: props.skIcon || '' }
+  }
+  if (type === 'routes') return { ...base, points: extractRoutePoints(obj, nameForHref) }
+  if (type === 'tracks') {
+    const segments = extractTrackSegments(obj)
+    return { ...base, segments, points: segments.flat() }
+  }
+  return base // Other types carry no geometry for the line formats.
+}
+
+// ---------------- Format dispatch ----------------
+//
+// One entry point per direction, so the webapp and the plugin's routes support the same formats.
+export const EXPORT_FORMATS = {
+  csv: { ext: 'csv', mime: 'text/csv' },
+  gpx: { ext: 'gpx', mime: 'application/gpx+xml' },
+  kml: { ext: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  kmz: { ext: 'kmz', mime: 'application/vnd.google-earth.kmz' },
+  geojson: { ext: 'geojson', mime: 'application/geo+json' },
+  nmea: { ext: 'nmea', mime: 'text/plain' }
+}
+
+// Parse import text into items. Options: csv (parseCSV() options) and layer (OpenCPN layer name).
+// KMZ archives are unzipped by the caller (kmzToKml()), so kmz parses as KML text.
+export function parseItems(format, text, { csv, layer = '' } = {}) {
+  if (format === 'csv') return parseCSV(text, csv)
+  if (format === 'gpx') return parseGPX(text)
+  if (format === 'kml' || format === 'kmz') return parseKML(text)
+  if (format === 'geojson') return parseGeoJSON(text)
+  if (format === 'nmea') return parseNMEA0183(text)
+  if (format === 'opencpn') return parseOpenCPN(text, { layer })
+  throw new Error(`Unsupported import format: ${format}`)
+}
+
+// Serialize export items; KMZ yields a Uint8Array, every other format a string.
+export function serializeItems(format, { waypoints = [], routes = [], tracks = [] }) {
+  // CSV has one row per waypoint, or one row per route/track point.
+  if (format === 'csv') return toCSV(waypoints.length ? toWaypointRows(waypoints) : toPointRows({ routes, tracks }))
+  if (format === 'gpx') return toGPX({ waypoints, routes, tracks })
+  if (format === 'kml') return toKML({ waypoints, routes, tracks })
+  if (format === 'kmz') return toKMZ({ waypoints, routes, tracks })
+  if (format === 'geojson') return toGeoJSON({ waypoints, routes, tracks })
+  if (format === 'nmea') {
+    if (tracks.length) throw new Error('NMEA 0183 export supports waypoints and routes')
+    return toNMEA0183({ waypoints, routes })
+  }
+  throw new Error(`Unsupported export format: ${format}`)
+}
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { Readable } = require('stream')
+
+// Plugin started against a minimal app stub, with an in-memory Resources API.
+function startPlugin() {
+  const routes = {}
+  const store = {}
+  const app = {
+    debug() {},
+    error() {},
+    setPluginStatus() {},
+    setPluginError() {},
+    emit() {},
+    handleMessage() {},
+    resourcesApi: {
+      listResources: async (type) => ({ ...(store[type] || {}) }),
+      setResource: async (type, id, data) => { (store[type] = store[type] || {})[id] = data }
+    },
+    streambundle: { getSelfStream: () => ({ debounceImmediate() { return this }, onValue() { return () => {} } }) }
+  }
+  const plugin = require('../index.js')(app)
+  plugin.start({})
+  plugin.registerWithRouter({
+    get: (p, f) => { routes[`GET ${p}`] = f },
+    post: (p, f) => { routes[`POST ${p}`] = f },
+    put() {},
+    delete() {}
+  })
+  // Call a route with a request body and resolve with { status, body }.
+  const post = (route, text, query) => new Promise((resolve) => {
+    const req = Object.assign(Readable.from([Buffer.from(text)]), { query, body: {} })
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this },
+      json(body) { resolve({ status: this.statusCode, body }); return this }
+    }
+    routes[`POST ${route}`](req, res)
+  })
+  return { plugin, store, post }
+}
+
+test('POST /import skips waypoints with out-of-range coordinates', async () => {
+  const { plugin, store, post } = startPlugin()
+  try {
+    const gpx = '<gpx><wpt lat="143" lon="10"><name>Bad</name></wpt><wpt lat="43" lon="10"><name>Good</name></wpt></gpx>'
+    const { status, body } = await post('/import', gpx, { format: 'gpx' })
+    assert.strictEqual(status, 200)
+    assert.strictEqual(body.created, 1)
+    assert.strictEqual(body.skipped, 1)
+    const skipped = body.items.find(it => it.action === 'skipped')
+    assert.strictEqual(skipped.name, 'Bad')
+    assert.strictEqual(skipped.reason, 'invalid coordinates')
+    assert.deepStrictEqual(Object.values(store.waypoints).map(w => w.name), ['Good'])
+  } finally {
+    plugin.stop()
+  }
+})